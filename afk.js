@@ -0,0 +1,138 @@
+// ============================================================================
+// ANTI-AFK
+// ============================================================================
+
+const AFK_ROUTINES = {
+    off: { label: '⏹️ Off', description: 'Stand still' },
+    look: { label: '👀 Look around', description: 'Turn to a random direction' },
+    jump: { label: '🦘 Jump', description: 'Jump in place' },
+    sneak: { label: '🥷 Sneak', description: 'Crouch for a moment, then stand up' },
+    walk: { label: '🚶 Walk', description: 'Step forward and back to the same spot' },
+    swing: { label: '🤚 Swing arm', description: 'Swing the main hand' }
+};
+
+const DEFAULT_AFK_CONFIG = {
+    routine: 'off', // used by accounts that haven't picked one with /afk mode
+    minInterval: 20000, // ms - each move is scheduled a random time between these two
+    maxInterval: 60000
+};
+
+const CONTROLS = ['forward', 'jump', 'sneak'];
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+// Repeats one routine on a randomized timer so the server's idle kick never
+// fires. Callers pause it while the bot needs to hold still or look elsewhere.
+class AntiAfk {
+    constructor(bot, config) {
+        this.bot = bot;
+        this.config = config;
+        this.routine = 'off';
+        this.timer = null;
+        this.releaseTimer = null;
+        this.pausedUntil = 0;
+        this.walkYaw = null;
+        this.walkTime = 0;
+        this.walkBack = false;
+    }
+
+    start(routine) {
+        this.stop();
+        this.routine = routine;
+        this.walkYaw = null;
+        this.walkBack = false;
+        if (routine !== 'off') {
+            this.schedule();
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.releaseControls();
+    }
+
+    pause(duration) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + duration);
+        this.releaseControls();
+    }
+
+    isPaused() {
+        return Date.now() < this.pausedUntil;
+    }
+
+    schedule() {
+        this.timer = setTimeout(() => {
+            if (!this.isPaused()) {
+                try {
+                    this.perform();
+                } catch (error) {
+                    console.error(`Anti-AFK ${this.routine} failed:`, error.message);
+                }
+            }
+            this.schedule();
+        }, randomBetween(this.config.minInterval, this.config.maxInterval));
+    }
+
+    perform() {
+        const bot = this.bot;
+        if (!bot.entity) return;
+
+        switch (this.routine) {
+            case 'look':
+                bot.look(randomBetween(0, Math.PI * 2), randomBetween(-0.5, 0.5), true);
+                break;
+            case 'jump':
+                this.hold('jump', 300);
+                break;
+            case 'sneak':
+                this.hold('sneak', randomBetween(800, 2500));
+                break;
+            case 'walk':
+                // Out and back along the same line with the same duration
+                if (this.walkYaw === null) this.walkYaw = bot.entity.yaw;
+                if (!this.walkBack) this.walkTime = randomBetween(400, 900);
+                bot.look(this.walkYaw + (this.walkBack ? Math.PI : 0), 0, true);
+                this.hold('forward', this.walkTime);
+                this.walkBack = !this.walkBack;
+                break;
+            case 'swing':
+                bot.swingArm();
+                break;
+        }
+    }
+
+    hold(control, duration) {
+        this.bot.setControlState(control, true);
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = setTimeout(() => this.bot.setControlState(control, false), duration);
+    }
+
+    releaseControls() {
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = null;
+        for (const control of CONTROLS) {
+            this.bot.setControlState(control, false);
+        }
+    }
+}
+
+function validateAfkConfig(config) {
+    const errors = [];
+
+    if (!AFK_ROUTINES[config.routine]) {
+        errors.push(`afk.routine must be one of: ${Object.keys(AFK_ROUTINES).join(', ')}`);
+    }
+    if (!Number.isInteger(config.minInterval) || config.minInterval < 1000) {
+        errors.push('afk.minInterval must be an integer of at least 1000 (milliseconds)');
+    }
+    if (!Number.isInteger(config.maxInterval) || config.maxInterval < config.minInterval) {
+        errors.push('afk.maxInterval must be an integer no smaller than afk.minInterval (milliseconds)');
+    }
+
+    return errors;
+}
+
+module.exports = { AFK_ROUTINES, DEFAULT_AFK_CONFIG, AntiAfk, validateAfkConfig };
@@ -0,0 +1,173 @@
+const { CONFIG } = require('./config');
+
+// ============================================================================
+// ALERT ROUTING
+// ============================================================================
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Fans safety alerts out to every configured route: DMs, the alert channel
+// and outgoing webhooks. Each route has its own cooldown, tracked per account
+// and alert title so one noisy alert can't hold back a different one.
+class AlertRouter {
+    constructor(manager, config) {
+        this.manager = manager;
+        this.config = config;
+        this.lastSent = new Map(); // "<route>|<account>|<title>" -> timestamp
+    }
+
+    // Returns false while the route is cooling down; otherwise starts the cooldown
+    takeCooldown(route, cooldown, alert) {
+        if (!cooldown) return true;
+
+        const key = `${route}|${alert.session.id}|${alert.title}`;
+        const now = Date.now();
+        if (now - (this.lastSent.get(key) || 0) < cooldown) {
+            return false;
+        }
+        this.lastSent.set(key, now);
+        return true;
+    }
+
+    async getDmRecipients(session) {
+        const recipients = new Map();
+
+        if (this.config.dm.includeConnectUser && session.lastAuthUser) {
+            recipients.set(session.lastAuthUser.id, session.lastAuthUser);
+        }
+        for (const userId of this.config.dm.userIds) {
+            if (recipients.has(userId)) continue;
+            try {
+                recipients.set(userId, await this.manager.discordClient.users.fetch(userId));
+            } catch (error) {
+                console.error(`Alert recipient ${userId} not found:`, error.message);
+            }
+        }
+
+        return [...recipients.values()];
+    }
+
+    // alert: { session, title, description, severity, embed, components }
+    async send(alert) {
+        const { session } = alert;
+        const webhooks = this.config.webhooks.filter(webhook => webhook.severities.includes(alert.severity));
+        const recipients = await this.getDmRecipients(session);
+
+        const failedDms = [];
+        let channelHandled = false; // posted, or deliberately held back by the cooldown
+        const content = alert.severity === 'urgent' ? '🚨 **URGENT SAFETY ALERT** 🚨' : '⚠️ **Safety Alert**';
+
+        // No route reaches anyone (e.g. no connecting user yet) - the control
+        // channel gets it instead, as it did before alerts were routed
+        if (recipients.length === 0 && !this.config.channel.id && webhooks.length === 0) {
+            if (this.takeCooldown('dm', this.config.dm.cooldown, alert)) {
+                await this.postToControlChannel(alert, `${content} (${session.id})`);
+            }
+            return;
+        }
+
+        if (recipients.length > 0 && this.takeCooldown('dm', this.config.dm.cooldown, alert)) {
+            for (const user of recipients) {
+                try {
+                    await user.send({ content, embeds: [alert.embed], components: alert.components });
+                } catch (error) {
+                    failedDms.push(user.tag || user.id);
+                }
+            }
+        }
+
+        if (this.config.channel.id) {
+            // Held back by the cooldown counts as handled, not as a failure
+            channelHandled = this.takeCooldown('channel', this.config.channel.cooldown, alert)
+                ? await this.postToAlertChannel(alert, content)
+                : true;
+        }
+
+        // Nobody got it on Discord - fall back to the control channel
+        if (failedDms.length > 0 && !channelHandled) {
+            await this.postToControlChannel(alert, `⚠️ Failed to DM ${failedDms.join(', ')} - Safety Alert (${session.id})`);
+        }
+
+        await Promise.all(webhooks.map((webhook, index) => {
+            if (!this.takeCooldown(`webhook${index}`, webhook.cooldown, alert)) return null;
+            return this.postWebhook(webhook, this.createWebhookPayload(alert));
+        }));
+    }
+
+    async postToAlertChannel(alert, content) {
+        const pingRole = alert.severity === 'urgent' ? this.config.channel.urgentRoleId : null;
+        try {
+            const channel = await this.manager.discordClient.channels.fetch(this.config.channel.id);
+            await channel.send({
+                content: pingRole ? `<@&${pingRole}> ${content}` : content,
+                embeds: [alert.embed],
+                components: alert.components,
+                allowedMentions: { roles: pingRole ? [pingRole] : [] }
+            });
+            return true;
+        } catch (error) {
+            console.error(`[${alert.session.id}] Failed to post alert to the alert channel:`, error.message);
+            return false;
+        }
+    }
+
+    async postToControlChannel(alert, content) {
+        try {
+            const channel = await this.manager.discordClient.channels.fetch(CONFIG.discord.channelId);
+            await channel?.send({ content, embeds: [alert.embed], components: alert.components });
+        } catch (error) {
+            console.error(`[${alert.session.id}] Failed to post alert to the control channel:`, error.message);
+        }
+    }
+
+    createWebhookPayload({ session, title, description, severity }) {
+        return {
+            severity,
+            title,
+            description: description.replace(/\*\*/g, ''),
+            account: session.id,
+            username: session.minecraftBot?.username || null,
+            server: session.getServerAddress(),
+            world: session.currentWorld,
+            coordinates: {
+                x: Math.round(session.currentCoords.x),
+                y: Math.round(session.currentCoords.y),
+                z: Math.round(session.currentCoords.z)
+            },
+            health: session.currentHealth,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Retries network errors, 429s and 5xx responses with doubling delays
+    async postWebhook(webhook, payload) {
+        for (let attempt = 0; attempt <= webhook.retries; attempt++) {
+            if (attempt > 0) {
+                await wait(1000 * 2 ** (attempt - 1));
+            }
+
+            try {
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...webhook.headers },
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(10000)
+                });
+
+                if (response.ok) return true;
+                if (response.status !== 429 && response.status < 500) {
+                    console.error(`Alert webhook ${new URL(webhook.url).host} rejected the alert: HTTP ${response.status}`);
+                    return false;
+                }
+                console.error(`Alert webhook ${new URL(webhook.url).host} returned HTTP ${response.status} (attempt ${attempt + 1})`);
+            } catch (error) {
+                console.error(`Alert webhook ${new URL(webhook.url).host} failed (attempt ${attempt + 1}): ${error.message}`);
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = { AlertRouter };
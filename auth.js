@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================================================
+// MICROSOFT TOKEN CACHE
+// ============================================================================
+
+// Microsoft refresh tokens stay valid for 90 days after they were last used
+const REFRESH_TOKEN_LIFETIME = 90 * 24 * 60 * 60 * 1000;
+
+// Read-only view (plus logout) over the files prismarine-auth keeps in the
+// profiles folder. Each account gets "<hash>_<cache>-cache.json" files where
+// the hash is derived from the username passed to createBot.
+class TokenCache {
+    constructor(profilesFolder) {
+        this.profilesFolder = profilesFolder;
+    }
+
+    getCachePrefix(username) {
+        const hash = crypto.createHash('sha1')
+            .update(username ?? '', 'binary')
+            .digest('hex')
+            .substring(0, 6);
+        return `${hash}_`;
+    }
+
+    readCacheFile(username, cacheName) {
+        try {
+            const filePath = path.join(this.profilesFolder, `${this.getCachePrefix(username)}${cacheName}-cache.json`);
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getStatus(username) {
+        const live = this.readCacheFile(username, 'live')?.token;
+        const mca = this.readCacheFile(username, 'mca')?.mca;
+        const refreshTokenRenewedAt = live?.refresh_token ? live.obtainedOn : null;
+
+        return {
+            cached: !!(live?.refresh_token || mca?.access_token),
+            minecraftTokenExpiresAt: mca?.access_token ? mca.obtainedOn + mca.expires_in * 1000 : null,
+            refreshTokenRenewedAt,
+            reauthRequiredAt: refreshTokenRenewedAt ? refreshTokenRenewedAt + REFRESH_TOKEN_LIFETIME : null
+        };
+    }
+
+    // Returns how many cache files were removed
+    clear(username) {
+        const prefix = this.getCachePrefix(username);
+        let removed = 0;
+
+        try {
+            for (const file of fs.readdirSync(this.profilesFolder)) {
+                if (file.startsWith(prefix) && file.endsWith('-cache.json')) {
+                    fs.unlinkSync(path.join(this.profilesFolder, file));
+                    removed++;
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        return removed;
+    }
+}
+
+module.exports = { TokenCache, REFRESH_TOKEN_LIFETIME };
@@ -0,0 +1,210 @@
+const zlib = require('zlib');
+
+// ============================================================================
+// CHART IMAGES
+// ============================================================================
+
+// Small line charts drawn into a pixel buffer and encoded as PNG with nothing
+// but zlib, so /economy needs no native canvas library.
+
+const BACKGROUND = [43, 45, 49];
+const PLOT_BACKGROUND = [49, 51, 56];
+const GRID = [64, 66, 73];
+const LABEL = [181, 186, 193];
+
+// 3x5 glyphs for axis labels, one string per row
+const FONT = {
+    '0': ['###', '#.#', '#.#', '#.#', '###'],
+    '1': ['.#.', '##.', '.#.', '.#.', '###'],
+    '2': ['###', '..#', '###', '#..', '###'],
+    '3': ['###', '..#', '.##', '..#', '###'],
+    '4': ['#.#', '#.#', '###', '..#', '..#'],
+    '5': ['###', '#..', '###', '..#', '###'],
+    '6': ['###', '#..', '###', '#.#', '###'],
+    '7': ['###', '..#', '..#', '.#.', '.#.'],
+    '8': ['###', '#.#', '###', '#.#', '###'],
+    '9': ['###', '#.#', '###', '..#', '###'],
+    '.': ['...', '...', '...', '...', '.#.'],
+    '-': ['...', '...', '###', '...', '...'],
+    'K': ['#.#', '##.', '#..', '##.', '#.#'],
+    'M': ['#.#', '###', '###', '#.#', '#.#'],
+    'B': ['##.', '#.#', '##.', '#.#', '##.'],
+    'T': ['###', '.#.', '.#.', '.#.', '.#.']
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+// 1234567 -> "1.23M"
+function compactNumber(value) {
+    const abs = Math.abs(value);
+    const [divisor, suffix] = abs >= 1e12 ? [1e12, 'T'] : abs >= 1e9 ? [1e9, 'B'] : abs >= 1e6 ? [1e6, 'M'] : abs >= 1e3 ? [1e3, 'K'] : [1, ''];
+    return `${Number((value / divisor).toFixed(divisor === 1 ? 0 : 2))}${suffix}`;
+}
+
+class Canvas {
+    constructor(width, height, color) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, color);
+    }
+
+    setPixel(x, y, [r, g, b]) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = r;
+        this.pixels[offset + 1] = g;
+        this.pixels[offset + 2] = b;
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let row = y; row < y + height; row++) {
+            for (let column = x; column < x + width; column++) {
+                this.setPixel(column, row, color);
+            }
+        }
+    }
+
+    // Bresenham, thickened by drawing a small square at every step
+    line(x0, y0, x1, y1, color, thickness = 1) {
+        x0 = Math.round(x0);
+        y0 = Math.round(y0);
+        x1 = Math.round(x1);
+        y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const stepX = x0 < x1 ? 1 : -1;
+        const stepY = y0 < y1 ? 1 : -1;
+        const offset = Math.floor(thickness / 2);
+        let error = dx + dy;
+
+        for (;;) {
+            this.fillRect(x0 - offset, y0 - offset, thickness, thickness, color);
+            if (x0 === x1 && y0 === y1) break;
+
+            const doubled = 2 * error;
+            if (doubled >= dy) {
+                error += dy;
+                x0 += stepX;
+            }
+            if (doubled <= dx) {
+                error += dx;
+                y0 += stepY;
+            }
+        }
+    }
+
+    text(x, y, text, color, scale = 2) {
+        for (const character of text) {
+            const glyph = FONT[character];
+            if (glyph) {
+                glyph.forEach((row, rowIndex) => {
+                    [...row].forEach((cell, columnIndex) => {
+                        if (cell === '#') {
+                            this.fillRect(x + columnIndex * scale, y + rowIndex * scale, scale, scale, color);
+                        }
+                    });
+                });
+            }
+            x += 4 * scale;
+        }
+    }
+
+    toPng() {
+        const rowLength = this.width * 3 + 1;
+        const raw = Buffer.alloc(rowLength * this.height);
+        for (let y = 0; y < this.height; y++) {
+            // Filter byte 0 (none) in front of every row
+            this.pixels.copy(raw, y * rowLength + 1, y * this.width * 3, (y + 1) * this.width * 3);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bits per channel
+        header[9] = 2; // RGB
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+// One panel per series, stacked, sharing the time axis from `since` to now.
+// series: [{ color: '#rrggbb', points: [{ at, value }] }]. Returns a PNG buffer.
+function renderLineChart(series, { since, until = Date.now(), width = 640, panelHeight = 180 } = {}) {
+    const margin = { left: 64, right: 16, top: 14, bottom: 14 };
+    const canvas = new Canvas(width, panelHeight * series.length, BACKGROUND);
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = panelHeight - margin.top - margin.bottom;
+    const xFor = at => margin.left + (at - since) / Math.max(1, until - since) * plotWidth;
+
+    series.forEach(({ color, points }, index) => {
+        const top = index * panelHeight + margin.top;
+        canvas.fillRect(margin.left, top, plotWidth, plotHeight, PLOT_BACKGROUND);
+
+        const values = points.map(point => point.value);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (min === max) {
+            // A flat line sits in the middle instead of on the edge
+            const pad = Math.abs(min) * 0.05 || 1;
+            min -= pad;
+            max += pad;
+        }
+        const yFor = value => top + plotHeight - (value - min) / (max - min) * plotHeight;
+
+        for (let step = 0; step <= 4; step++) {
+            const y = top + Math.round(step * plotHeight / 4);
+            canvas.line(margin.left, y, margin.left + plotWidth - 1, y, GRID);
+        }
+        canvas.text(6, top, compactNumber(max), LABEL);
+        canvas.text(6, top + plotHeight - 10, compactNumber(min), LABEL);
+
+        const rgb = hexToRgb(color);
+        for (let i = 1; i < points.length; i++) {
+            canvas.line(xFor(points[i - 1].at), yFor(points[i - 1].value), xFor(points[i].at), yFor(points[i].value), rgb, 2);
+        }
+        if (points.length === 1) {
+            canvas.fillRect(xFor(points[0].at) - 2, yFor(points[0].value) - 2, 5, 5, rgb);
+        }
+    });
+
+    return canvas.toPng();
+}
+
+module.exports = { renderLineChart };
@@ -0,0 +1,217 @@
+const { escapeMarkdown } = require('discord.js');
+
+// ============================================================================
+// CHAT HELPERS
+// ============================================================================
+
+// Optional "[rank] <Name>" or "Name:" prefix in front of a chat line
+const SENDER_PATTERN = /^(?:\[[^\]]*\]\s*)*<?(\.?\w{1,16})>?:?\s/;
+
+function stripFormatting(text) {
+    return text.replace(/§[0-9a-fk-orx]/gi, '');
+}
+
+// Bad entries are left out rather than thrown - loadConfig has already reported them
+function compileWhisperPatterns(patterns) {
+    if (!Array.isArray(patterns)) return [];
+
+    return patterns.flatMap(pattern => {
+        if (typeof pattern !== 'string') return [];
+        try {
+            return [new RegExp(pattern, 'i')];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+function parseWhisper(line, patterns) {
+    for (const pattern of patterns) {
+        const match = line.match(pattern);
+        if (match) {
+            return { username: match[1], message: match[2] };
+        }
+    }
+    return null;
+}
+
+function getChatSender(line) {
+    return line.match(SENDER_PATTERN)?.[1] || null;
+}
+
+// ============================================================================
+// MINECRAFT <-> DISCORD CHAT BRIDGE
+// ============================================================================
+
+// Relays one account's in-game chat into a Discord channel in batches, and
+// sends messages from authorized channel members back in-game.
+class ChatBridge {
+    constructor(manager, config, whisperPatterns) {
+        this.manager = manager;
+        this.config = config;
+        this.whisperPatterns = whisperPatterns;
+        this.queue = [];
+        this.droppedLines = 0;
+        this.flushTimeout = null;
+        this.channel = null;
+    }
+
+    get enabled() {
+        return !!this.config.channelId;
+    }
+
+    async getChannel() {
+        if (!this.channel) {
+            this.channel = await this.manager.discordClient.channels.fetch(this.config.channelId);
+        }
+        return this.channel;
+    }
+
+    getSession() {
+        return this.manager.sessions.get(this.config.account) || null;
+    }
+
+    // ------------------------------------------------------------------------
+    // Minecraft -> Discord
+    // ------------------------------------------------------------------------
+
+    handleGameMessage(session, text, position) {
+        if (!this.enabled || session.id !== this.config.account) return;
+        if (position === 'game_info') return; // action bar spam
+
+        const line = stripFormatting(text).trim();
+        if (!line) return;
+
+        const whisper = parseWhisper(line, this.whisperPatterns);
+        this.enqueue(whisper
+            ? `📩 **${escapeMarkdown(whisper.username)}** whispered: ${escapeMarkdown(whisper.message)}`
+            : escapeMarkdown(line));
+
+        if (this.isMention(session, line, whisper)) {
+            this.sendPing(session, line).catch(error => console.error('Failed to send chat ping:', error));
+        }
+    }
+
+    enqueue(line) {
+        if (this.queue.length >= this.config.maxLinesPerBatch) {
+            this.droppedLines++;
+        } else {
+            this.queue.push(line);
+        }
+
+        if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => this.flush(), this.config.batchInterval);
+        }
+    }
+
+    async flush() {
+        this.flushTimeout = null;
+        if (this.queue.length === 0) return;
+
+        const lines = this.queue.splice(0);
+        if (this.droppedLines > 0) {
+            lines.push(`*… ${this.droppedLines} more line(s) skipped*`);
+            this.droppedLines = 0;
+        }
+
+        // Discord messages cap out at 2000 characters
+        const messages = [];
+        let current = '';
+        for (const line of lines) {
+            const trimmed = line.substring(0, 1900);
+            if (current.length + trimmed.length + 1 > 1900) {
+                messages.push(current);
+                current = '';
+            }
+            current += (current ? '\n' : '') + trimmed;
+        }
+        if (current) messages.push(current);
+
+        try {
+            const channel = await this.getChannel();
+            for (const content of messages) {
+                await channel.send({ content, allowedMentions: { parse: [] } });
+            }
+        } catch (error) {
+            console.error('Failed to relay chat to Discord:', error);
+        }
+    }
+
+    isMention(session, line, whisper) {
+        const ownName = session.minecraftBot?.username;
+        if (!ownName) return false;
+
+        // Don't ping for our own messages echoing back
+        if (!whisper && getChatSender(line)?.toLowerCase() === ownName.toLowerCase()) return false;
+        if (whisper) return true;
+
+        const lower = line.toLowerCase();
+        return [ownName, ...this.config.keywords].some(keyword => lower.includes(keyword.toLowerCase()));
+    }
+
+    async sendPing(session, line) {
+        const userIds = this.config.pingUserIds.length > 0
+            ? this.config.pingUserIds
+            : session.lastAuthUser ? [session.lastAuthUser.id] : [];
+        const mentions = [
+            ...userIds.map(id => `<@${id}>`),
+            ...(this.config.pingRoleId ? [`<@&${this.config.pingRoleId}>`] : [])
+        ];
+        if (mentions.length === 0) return;
+
+        const channel = await this.getChannel();
+        await channel.send({
+            content: `🔔 ${mentions.join(' ')} **${escapeMarkdown(session.minecraftBot?.username || session.id)}** was mentioned:\n> ${escapeMarkdown(line).substring(0, 1500)}`,
+            allowedMentions: { users: userIds, roles: this.config.pingRoleId ? [this.config.pingRoleId] : [] }
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // Discord -> Minecraft
+    // ------------------------------------------------------------------------
+
+    isAuthorized(message) {
+        if (this.config.allowedUserIds.includes(message.author.id)) return true;
+
+        const roles = message.member?.roles?.cache;
+        return !!roles && this.config.allowedRoleIds.some(roleId => roles.has(roleId));
+    }
+
+    async handleDiscordMessage(message) {
+        if (!this.enabled || message.channelId !== this.config.channelId) return;
+        if (message.author.bot || message.webhookId) return;
+        if (!this.isAuthorized(message)) return;
+
+        const session = this.getSession();
+        const text = message.content.replace(/\s+/g, ' ').trim();
+        if (!text) return;
+
+        if (text.startsWith('/') && !this.config.allowCommands) {
+            await message.react('🚫').catch(() => {});
+            return;
+        }
+
+        if (!session?.isConnected || !session.minecraftBot) {
+            await message.react('🔌').catch(() => {});
+            return;
+        }
+
+        try {
+            // Minecraft rejects chat messages longer than 256 characters
+            session.minecraftBot.chat(text.substring(0, 256));
+            await message.react('✅').catch(() => {});
+        } catch (error) {
+            console.error('Failed to send bridged message:', error);
+            await message.react('❌').catch(() => {});
+        }
+    }
+
+    shutdown() {
+        if (this.flushTimeout) {
+            clearTimeout(this.flushTimeout);
+            this.flushTimeout = null;
+        }
+    }
+}
+
+module.exports = { ChatBridge, stripFormatting, compileWhisperPatterns, parseWhisper, getChatSender };
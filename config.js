@@ -0,0 +1,505 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_THREAT_CONFIG, validateThreatConfig } = require('./threat');
+const { DEFAULT_AFK_CONFIG, validateAfkConfig } = require('./afk');
+const { DEFAULT_RECONNECT_CONFIG, validateReconnectConfig } = require('./reconnect');
+const { DEFAULT_RESTART_CONFIG, validateRestartConfig } = require('./restart');
+const { DEFAULT_STATUS_PING_CONFIG, validateStatusPingConfig } = require('./ping');
+const { DEFAULT_ECONOMY_CONFIG, DEFAULT_ECONOMY_QUERIES, validateEconomyConfig } = require('./economy');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+
+const DEFAULT_MINECRAFT_CONFIG = {
+    host: 'donutsmp.net',
+    port: 25565,
+    version: '1.21.4', // false lets mineflayer auto-detect
+    auth: 'microsoft',
+    postSpawnCommands: ['/tpa doggomc'], // sent in order after every spawn
+    postSpawnDelay: 5000, // ms to wait after spawning before the first command
+    username: 'DoggoTest' // in-game name for offline accounts without their own username
+};
+
+// Selected with MINECRAFT_PROFILE; config.json "profiles" can add new ones or
+// override these field by field.
+const BUILTIN_PROFILES = {
+    local: {
+        host: 'localhost',
+        port: 25565,
+        version: false,
+        auth: 'offline',
+        postSpawnCommands: []
+    }
+};
+
+const AUTH_MODES = ['microsoft', 'offline'];
+
+// Vanilla, Essentials-style and arrow-style private message formats
+const DEFAULT_WHISPER_PATTERNS = [
+    '^(\\.?\\w{1,16}) whispers to you: (.+)$',
+    '^\\[(\\.?\\w{1,16}) -> (?:me|you)\\] (.+)$',
+    '^(\\.?\\w{1,16}) (?:->|➜|→) (?:me|you):? (.+)$'
+];
+
+const DEFAULT_BRIDGE_CONFIG = {
+    allowedUserIds: [], // Discord users whose bridge messages are sent in-game
+    allowedRoleIds: [], // ...or members holding one of these roles
+    allowCommands: false, // let authorized users send /commands through the bridge
+    keywords: [], // extra words that trigger a ping, besides our username
+    pingUserIds: [], // who to ping on mentions (defaults to whoever pressed Connect)
+    pingRoleId: null,
+    batchInterval: 2000, // ms to collect chat lines before posting
+    maxLinesPerBatch: 20 // extra lines in a batch are counted, not posted
+};
+
+const DEFAULT_INBOX_CONFIG = {
+    replyCommand: '/msg {player} {message}', // how Discord replies are sent in-game
+    maxMessages: 500 // oldest whispers are dropped beyond this
+};
+
+const ALERT_SEVERITIES = ['warning', 'urgent'];
+
+// alerts.webhooks entries: { "url": "https://...", "severities": ["urgent"], "cooldown": 300000 }
+const DEFAULT_WEBHOOK_CONFIG = {
+    severities: ALERT_SEVERITIES,
+    cooldown: 0, // ms before the same alert is posted to this webhook again
+    retries: 3,
+    headers: {} // e.g. an Authorization header for the receiving service
+};
+
+const PERMISSION_RULES = ['default', 'connect', 'disconnect', 'chat', 'safety'];
+
+const OFFLINE_USERNAME_PATTERN = /^\w{3,16}$/;
+
+// MINECRAFT_ACCOUNTS="main,alt1,alt2" - each entry is both the selector used
+// in Discord/REST and the username handed to the Microsoft auth cache (or the
+// in-game name in offline mode). config.json may also list
+// { "id": "main", "username": "me@example.com" } objects.
+function parseAccounts(value) {
+    const entries = Array.isArray(value) ? value : (value || '').split(',');
+    const accounts = new Map();
+
+    for (const entry of entries) {
+        const id = String(typeof entry === 'object' && entry !== null ? entry.id : entry).trim();
+        if (id.length === 0 || accounts.has(id)) continue;
+
+        const username = typeof entry === 'object' && entry !== null && entry.username ? String(entry.username) : id;
+        accounts.set(id, { id, username });
+    }
+
+    if (accounts.size === 0) {
+        return [{ id: 'default', username: undefined }];
+    }
+
+    return [...accounts.values()];
+}
+
+function parseList(value) {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readConfigFile(filePath) {
+    try {
+        return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')), error: null };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { data: {}, error: null };
+        }
+        return { data: {}, error: `${path.basename(filePath)}: ${error.message}` };
+    }
+}
+
+function applyMinecraftEnvOverrides(minecraft, env) {
+    const overrides = { ...minecraft };
+
+    if (env.MINECRAFT_HOST) overrides.host = env.MINECRAFT_HOST;
+    if (env.MINECRAFT_PORT) overrides.port = Number(env.MINECRAFT_PORT);
+    if (env.MINECRAFT_VERSION) overrides.version = env.MINECRAFT_VERSION === 'auto' ? false : env.MINECRAFT_VERSION;
+    if (env.MINECRAFT_AUTH) overrides.auth = env.MINECRAFT_AUTH;
+    if (env.MINECRAFT_USERNAME) overrides.username = env.MINECRAFT_USERNAME;
+    if (env.MINECRAFT_POST_SPAWN_COMMANDS !== undefined) {
+        // Semicolon separated, since commands themselves may contain commas
+        overrides.postSpawnCommands = env.MINECRAFT_POST_SPAWN_COMMANDS
+            .split(';')
+            .map(command => command.trim())
+            .filter(Boolean);
+    }
+
+    return overrides;
+}
+
+function validateMinecraftConfig(minecraft) {
+    const errors = [];
+
+    if (typeof minecraft.host !== 'string' || minecraft.host.trim() === '') {
+        errors.push('minecraft.host must be a non-empty string');
+    }
+    if (!Number.isInteger(minecraft.port) || minecraft.port < 1 || minecraft.port > 65535) {
+        errors.push(`minecraft.port must be an integer between 1 and 65535 (got ${JSON.stringify(minecraft.port)})`);
+    }
+    if (minecraft.version !== false && !(typeof minecraft.version === 'string' && /^\d+\.\d+(\.\d+)?$/.test(minecraft.version))) {
+        errors.push(`minecraft.version must look like "1.21.4" or be false (got ${JSON.stringify(minecraft.version)})`);
+    }
+    if (!AUTH_MODES.includes(minecraft.auth)) {
+        errors.push(`minecraft.auth must be one of ${AUTH_MODES.join(', ')} (got ${JSON.stringify(minecraft.auth)})`);
+    }
+    if (!Array.isArray(minecraft.postSpawnCommands) ||
+        !minecraft.postSpawnCommands.every(command => typeof command === 'string' && command.trim() !== '' && command.length <= 256)) {
+        errors.push('minecraft.postSpawnCommands must be a list of non-empty strings (max 256 characters each)');
+    }
+    if (!Number.isInteger(minecraft.postSpawnDelay) || minecraft.postSpawnDelay < 0) {
+        errors.push('minecraft.postSpawnDelay must be a non-negative integer (milliseconds)');
+    }
+    if (minecraft.auth === 'offline' && !OFFLINE_USERNAME_PATTERN.test(minecraft.username || '')) {
+        errors.push(`minecraft.username must be 3-16 letters, digits or underscores in offline mode (got ${JSON.stringify(minecraft.username)})`);
+    }
+
+    return errors;
+}
+
+function validateChatConfig(chat, bridge, accounts) {
+    const errors = [];
+
+    if (!Array.isArray(chat.whisperPatterns) || !chat.whisperPatterns.every(pattern => typeof pattern === 'string')) {
+        errors.push('chat.whisperPatterns must be a list of regular expressions');
+    } else {
+        for (const pattern of chat.whisperPatterns) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`chat.whisperPatterns: ${error.message}`);
+            }
+        }
+    }
+
+    if (!bridge.channelId) {
+        return errors;
+    }
+    if (!accounts.some(account => account.id === bridge.account)) {
+        errors.push(`bridge.account "${bridge.account}" is not a configured account`);
+    }
+    if (!Number.isInteger(bridge.batchInterval) || bridge.batchInterval < 500) {
+        errors.push('bridge.batchInterval must be an integer of at least 500 (milliseconds)');
+    }
+    if (!Number.isInteger(bridge.maxLinesPerBatch) || bridge.maxLinesPerBatch < 1) {
+        errors.push('bridge.maxLinesPerBatch must be a positive integer');
+    }
+
+    return errors;
+}
+
+function validateInboxConfig(inbox) {
+    const errors = [];
+
+    if (typeof inbox.replyCommand !== 'string' || !inbox.replyCommand.includes('{player}') || !inbox.replyCommand.includes('{message}')) {
+        errors.push('inbox.replyCommand must contain {player} and {message}');
+    } else if (inbox.replyCommand.replace('{player}', 'x'.repeat(16)).replace('{message}', '').length >= 256) {
+        // Chat lines top out at 256 characters, and names at 16
+        errors.push('inbox.replyCommand must leave room for a 16-character name and a message within 256 characters');
+    }
+    if (!Number.isInteger(inbox.maxMessages) || inbox.maxMessages < 1) {
+        errors.push('inbox.maxMessages must be a positive integer');
+    }
+
+    return errors;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// "permissions": { "default": { "roleIds": [...] }, "connect": { "userIds": [...] } }.
+// Malformed rules count as empty; validatePermissions reports them.
+function parsePermissions(filePermissions, env) {
+    const permissions = {};
+
+    for (const name of PERMISSION_RULES) {
+        const rule = isPlainObject(filePermissions) && isPlainObject(filePermissions[name]) ? filePermissions[name] : {};
+        permissions[name] = {
+            userIds: isStringList(rule.userIds) ? rule.userIds : [],
+            roleIds: isStringList(rule.roleIds) ? rule.roleIds : []
+        };
+    }
+
+    if (env.DISCORD_ALLOWED_USERS) permissions.default.userIds = parseList(env.DISCORD_ALLOWED_USERS);
+    if (env.DISCORD_ALLOWED_ROLES) permissions.default.roleIds = parseList(env.DISCORD_ALLOWED_ROLES);
+
+    return permissions;
+}
+
+function validatePermissions(filePermissions) {
+    if (filePermissions === undefined || filePermissions === null) {
+        return [];
+    }
+    if (!isPlainObject(filePermissions)) {
+        return ['permissions must be an object of { "userIds": [...], "roleIds": [...] } rules'];
+    }
+
+    const errors = [];
+    for (const [name, rule] of Object.entries(filePermissions)) {
+        if (!PERMISSION_RULES.includes(name)) {
+            errors.push(`permissions.${name} is not a known action (use ${PERMISSION_RULES.join(', ')})`);
+        } else if (rule !== null && !isPlainObject(rule)) {
+            errors.push(`permissions.${name} must be an object with userIds and/or roleIds`);
+        } else if (rule !== null) {
+            for (const list of ['userIds', 'roleIds']) {
+                if (rule[list] !== undefined && rule[list] !== null && !isStringList(rule[list])) {
+                    errors.push(`permissions.${name}.${list} must be a list of Discord ids (strings)`);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+// Entries that aren't objects are left out; validateAlertsConfig reports them.
+// `source` names each webhook in error messages.
+function parseAlertsConfig(rawAlerts, env) {
+    const fileAlerts = isPlainObject(rawAlerts) ? rawAlerts : {};
+    const fileWebhooks = Array.isArray(fileAlerts.webhooks) ? fileAlerts.webhooks : [];
+
+    const webhooks = fileWebhooks.flatMap((webhook, index) => isPlainObject(webhook)
+        ? [{ ...DEFAULT_WEBHOOK_CONFIG, ...webhook, source: `alerts.webhooks[${index}]` }]
+        : []);
+    parseList(env.ALERT_WEBHOOK_URLS).forEach((url, index) => {
+        webhooks.push({ ...DEFAULT_WEBHOOK_CONFIG, url, source: `ALERT_WEBHOOK_URLS[${index}]` });
+    });
+
+    return {
+        dm: {
+            userIds: parseList(env.ALERT_DM_USERS || fileAlerts.dm?.userIds),
+            includeConnectUser: fileAlerts.dm?.includeConnectUser ?? true, // whoever pressed Connect
+            cooldown: fileAlerts.dm?.cooldown ?? 0
+        },
+        channel: {
+            id: env.DISCORD_ALERT_CHANNEL_ID || fileAlerts.channel?.id || null,
+            urgentRoleId: env.ALERT_ROLE_ID || fileAlerts.channel?.urgentRoleId || null, // pinged on urgent alerts
+            cooldown: fileAlerts.channel?.cooldown ?? 0
+        },
+        webhooks
+    };
+}
+
+function validateAlertsConfig(alerts, rawAlerts) {
+    const errors = [];
+
+    if (rawAlerts !== undefined && rawAlerts !== null && !isPlainObject(rawAlerts)) {
+        errors.push('alerts must be an object');
+    } else if (rawAlerts?.webhooks !== undefined && !Array.isArray(rawAlerts.webhooks)) {
+        errors.push('alerts.webhooks must be a list of { "url": "https://..." } objects');
+    } else {
+        (rawAlerts?.webhooks || []).forEach((webhook, index) => {
+            if (!isPlainObject(webhook)) {
+                errors.push(`alerts.webhooks[${index}] must be an object with a "url" string`);
+            }
+        });
+    }
+
+    for (const [route, cooldown] of [['dm', alerts.dm.cooldown], ['channel', alerts.channel.cooldown]]) {
+        if (!Number.isInteger(cooldown) || cooldown < 0) {
+            errors.push(`alerts.${route}.cooldown must be a non-negative integer (milliseconds)`);
+        }
+    }
+
+    alerts.webhooks.forEach(webhook => {
+        const name = webhook.source;
+        if (typeof webhook.url !== 'string') {
+            errors.push(`${name}.url must be a string`);
+        } else {
+            try {
+                if (!['http:', 'https:'].includes(new URL(webhook.url).protocol)) {
+                    errors.push(`${name}.url must be an http(s) URL`);
+                }
+            } catch (error) {
+                errors.push(`${name}.url is not a valid URL`);
+            }
+        }
+        if (!Array.isArray(webhook.severities) || webhook.severities.length === 0 ||
+            !webhook.severities.every(severity => ALERT_SEVERITIES.includes(severity))) {
+            errors.push(`${name}.severities must list one or more of ${ALERT_SEVERITIES.join(', ')}`);
+        }
+        if (!Number.isInteger(webhook.cooldown) || webhook.cooldown < 0) {
+            errors.push(`${name}.cooldown must be a non-negative integer (milliseconds)`);
+        }
+        if (!Number.isInteger(webhook.retries) || webhook.retries < 0 || webhook.retries > 10) {
+            errors.push(`${name}.retries must be an integer between 0 and 10`);
+        }
+        if (!isPlainObject(webhook.headers)) {
+            errors.push(`${name}.headers must be an object of header names and values`);
+        }
+    });
+
+    return errors;
+}
+
+function validateAccounts(accounts, minecraft) {
+    if (minecraft.auth !== 'offline') {
+        return [];
+    }
+
+    return accounts
+        .filter(account => account.username !== undefined && !OFFLINE_USERNAME_PATTERN.test(account.username))
+        .map(account => `account "${account.id}" needs a 3-16 character username in offline mode (got ${JSON.stringify(account.username)})`);
+}
+
+function resolveProfile(name, fileProfiles = {}) {
+    if (!name) {
+        return { profile: {}, error: null };
+    }
+    if (!BUILTIN_PROFILES[name] && !fileProfiles[name]) {
+        const available = [...new Set([...Object.keys(BUILTIN_PROFILES), ...Object.keys(fileProfiles)])];
+        return { profile: {}, error: `unknown profile "${name}" (available: ${available.join(', ')})` };
+    }
+    return { profile: { ...BUILTIN_PROFILES[name], ...fileProfiles[name] }, error: null };
+}
+
+// Problems are collected rather than thrown so startup can report them next
+// to the other services.
+function loadConfig(env = process.env, filePath = CONFIG_FILE) {
+    const errors = [];
+    const file = readConfigFile(filePath);
+    if (file.error) {
+        errors.push(file.error);
+    }
+
+    const profileName = env.MINECRAFT_PROFILE || file.data.profile || null;
+    const { profile, error: profileError } = resolveProfile(profileName, file.data.profiles);
+    if (profileError) {
+        errors.push(profileError);
+    }
+
+    const minecraft = applyMinecraftEnvOverrides({ ...DEFAULT_MINECRAFT_CONFIG, ...file.data.minecraft, ...profile }, env);
+    errors.push(...validateMinecraftConfig(minecraft));
+
+    const accounts = parseAccounts(env.MINECRAFT_ACCOUNTS || file.data.accounts);
+    errors.push(...validateAccounts(accounts, minecraft));
+
+    const dataDir = env.DATA_DIR || path.join(__dirname, 'data');
+    const auth = {
+        // Where prismarine-auth keeps Microsoft tokens, one set per account
+        profilesFolder: path.resolve(__dirname, env.MINECRAFT_PROFILES_FOLDER || file.data.auth?.profilesFolder || path.join(dataDir, 'auth-cache')),
+        refreshWarningDays: file.data.auth?.refreshWarningDays ?? 7 // warn this long before re-authentication is needed
+    };
+    if (!Number.isInteger(auth.refreshWarningDays) || auth.refreshWarningDays < 1 || auth.refreshWarningDays > 89) {
+        errors.push('auth.refreshWarningDays must be an integer between 1 and 89');
+    }
+
+    const chat = {
+        whisperPatterns: file.data.chat?.whisperPatterns || DEFAULT_WHISPER_PATTERNS
+    };
+
+    const fileBridge = file.data.bridge || {};
+    const bridge = {
+        ...DEFAULT_BRIDGE_CONFIG,
+        ...fileBridge,
+        channelId: env.DISCORD_BRIDGE_CHANNEL_ID || fileBridge.channelId || null,
+        account: env.BRIDGE_ACCOUNT || fileBridge.account || accounts[0].id,
+        allowedUserIds: parseList(env.BRIDGE_ALLOWED_USERS || fileBridge.allowedUserIds),
+        allowedRoleIds: parseList(env.BRIDGE_ALLOWED_ROLES || fileBridge.allowedRoleIds),
+        keywords: parseList(env.BRIDGE_KEYWORDS || fileBridge.keywords),
+        pingUserIds: parseList(fileBridge.pingUserIds)
+    };
+    errors.push(...validateChatConfig(chat, bridge, accounts));
+
+    const inbox = {
+        ...DEFAULT_INBOX_CONFIG,
+        ...file.data.inbox,
+        // Post whispers here instead of DMing whoever pressed Connect
+        channelId: env.DISCORD_INBOX_CHANNEL_ID || file.data.inbox?.channelId || null
+    };
+    errors.push(...validateInboxConfig(inbox));
+
+    const fileThreat = file.data.threat || {};
+    const threat = {
+        ...DEFAULT_THREAT_CONFIG,
+        ...fileThreat,
+        weights: { ...DEFAULT_THREAT_CONFIG.weights, ...fileThreat.weights },
+        tiers: { ...DEFAULT_THREAT_CONFIG.tiers, ...fileThreat.tiers }
+    };
+    errors.push(...validateThreatConfig(threat));
+
+    const reconnect = { ...DEFAULT_RECONNECT_CONFIG, ...file.data.reconnect };
+    errors.push(...validateReconnectConfig(reconnect));
+
+    const restart = { ...DEFAULT_RESTART_CONFIG, ...file.data.restart };
+    errors.push(...validateRestartConfig(restart));
+
+    const statusPing = { ...DEFAULT_STATUS_PING_CONFIG, ...file.data.statusPing };
+    errors.push(...validateStatusPingConfig(statusPing));
+
+    // Built-in queries can be tweaked (e.g. a different command); new names add metrics
+    const fileEconomy = file.data.economy || {};
+    const economyQueries = {};
+    for (const name of new Set([...Object.keys(DEFAULT_ECONOMY_QUERIES), ...Object.keys(fileEconomy.queries || {})])) {
+        economyQueries[name] = { emoji: '📈', color: '#0099ff', ...DEFAULT_ECONOMY_QUERIES[name], ...fileEconomy.queries?.[name] };
+    }
+    const economy = { ...DEFAULT_ECONOMY_CONFIG, ...fileEconomy, queries: economyQueries };
+    errors.push(...validateEconomyConfig(economy));
+
+    const afk = {
+        ...DEFAULT_AFK_CONFIG,
+        ...file.data.afk,
+        routine: env.AFK_ROUTINE || file.data.afk?.routine || DEFAULT_AFK_CONFIG.routine
+    };
+    errors.push(...validateAfkConfig(afk));
+
+    const alerts = parseAlertsConfig(file.data.alerts, env);
+    errors.push(...validateAlertsConfig(alerts, file.data.alerts));
+
+    const permissions = parsePermissions(file.data.permissions, env);
+    errors.push(...validatePermissions(file.data.permissions));
+
+    const config = {
+        discord: {
+            token: env.DISCORD_BOT_TOKEN,
+            channelId: env.DISCORD_CHANNEL_ID,
+            // Delete control panels left behind by earlier runs
+            cleanupStalePanels: env.CLEANUP_STALE_PANELS ? env.CLEANUP_STALE_PANELS === 'true' : file.data.discord?.cleanupStalePanels === true
+        },
+        profile: profileName || 'default',
+        minecraft,
+        accounts,
+        auth,
+        chat,
+        bridge,
+        inbox,
+        threat,
+        reconnect,
+        restart,
+        statusPing,
+        economy,
+        afk,
+        alerts,
+        permissions,
+        webServer: {
+            port: env.PORT || 5000,
+            host: '0.0.0.0',
+            apiKey: env.API_KEY || file.data.webServer?.apiKey || null, // required by the control routes
+            // Let the read-only data routes (safety history, player sightings) answer without the key
+            publicDataRoutes: env.PUBLIC_DATA_ROUTES ? env.PUBLIC_DATA_ROUTES === 'true' : file.data.webServer?.publicDataRoutes === true
+        },
+        storage: {
+            dataDir
+        }
+    };
+
+    return {
+        config,
+        errors,
+        source: fs.existsSync(filePath) ? path.basename(filePath) : 'defaults'
+    };
+}
+
+const { config: CONFIG, errors: CONFIG_ERRORS, source: CONFIG_SOURCE } = loadConfig();
+
+module.exports = { CONFIG, CONFIG_ERRORS, CONFIG_SOURCE, loadConfig, parseAccounts, parseList, validateMinecraftConfig };
@@ -0,0 +1,208 @@
+// ============================================================================
+// DAMAGE ATTRIBUTION
+// ============================================================================
+
+const HIT_WINDOW = 1500; // ms a hurt packet or arm swing can explain a health drop
+const MELEE_RANGE = 4.5; // blocks - anyone swinging further away didn't hit us
+const MOB_RANGE = 4; // blocks - a hostile this close probably did it
+const SAFE_FALL = 3; // blocks fallen before fall damage starts
+
+// Vanilla damage types grouped by what they mean for the account
+const DAMAGE_TYPE_CAUSES = {
+    fall: ['fall', 'stalagmite', 'fly_into_wall', 'ender_pearl'],
+    fire: ['in_fire', 'on_fire', 'campfire', 'hot_floor'],
+    lava: ['lava'],
+    drowning: ['drown'],
+    starvation: ['starve'],
+    suffocation: ['in_wall', 'cramming'],
+    freezing: ['freeze'],
+    cactus: ['cactus', 'sweet_berry_bush'],
+    void: ['out_of_world', 'outside_border'],
+    lightning: ['lightning_bolt'],
+    explosion: ['explosion', 'player_explosion', 'bad_respawn_point', 'fireworks'],
+    magic: ['magic', 'indirect_magic', 'wither', 'dragon_breath', 'thorns', 'sonic_boom']
+};
+
+const CAUSE_LABELS = {
+    fall: 'Fall damage',
+    fire: 'Burning',
+    lava: 'Burning in lava',
+    drowning: 'Drowning',
+    starvation: 'Starvation',
+    suffocation: 'Suffocating in a block',
+    freezing: 'Freezing in powder snow',
+    cactus: 'Cactus or berry bush',
+    void: 'Fell into the void',
+    lightning: 'Struck by lightning',
+    explosion: 'Explosion',
+    magic: 'Magic, poison or wither'
+};
+
+const CAUSE_BY_DAMAGE_TYPE = {};
+for (const [cause, types] of Object.entries(DAMAGE_TYPE_CAUSES)) {
+    for (const type of types) {
+        CAUSE_BY_DAMAGE_TYPE[type] = cause;
+    }
+}
+
+function formatItemName(name) {
+    return name.replace(/_/g, ' ');
+}
+
+// Watches one bot for the signals that explain a health drop: server damage
+// events (1.20+), hurt animations, nearby arm swings, falls and the bot's own
+// fire/air/food state. `attribute()` turns whatever was seen into a cause.
+class DamageTracker {
+    constructor(bot) {
+        this.bot = bot;
+        this.damageTypes = []; // registry id -> vanilla damage type name
+        this.lastHurt = null; // { at, typeId, source }
+        this.swings = new Map(); // entity id -> timestamp
+        this.fallStartY = null;
+        this.lastFall = null; // { at, distance }
+
+        bot._client.on('registry_data', packet => this.loadDamageTypes(packet));
+        bot._client.on('damage_event', packet => {
+            if (packet.entityId !== bot.entity?.id) return;
+            this.lastHurt = {
+                at: Date.now(),
+                typeId: packet.sourceTypeId,
+                source: bot.entities[packet.sourceCauseId - 1] || bot.entities[packet.sourceDirectId - 1] || null
+            };
+        });
+
+        // Older servers only send the hurt animation, without a source
+        bot.on('entityHurt', entity => {
+            if (entity === bot.entity && (!this.lastHurt || Date.now() - this.lastHurt.at > 100)) {
+                this.lastHurt = { at: Date.now(), typeId: null, source: null };
+            }
+        });
+        bot.on('entitySwingArm', entity => {
+            if (entity !== bot.entity) this.swings.set(entity.id, Date.now());
+        });
+        bot.on('move', () => this.trackFall());
+    }
+
+    // 1.20.5+ sends one packet per registry; 1.20-1.20.4 send the whole codec
+    loadDamageTypes(packet) {
+        try {
+            if (packet.id) {
+                if (packet.id.replace('minecraft:', '') === 'damage_type') {
+                    this.damageTypes = packet.entries.map(entry => entry.key.replace('minecraft:', ''));
+                }
+                return;
+            }
+
+            const registry = packet.codec?.value?.['minecraft:damage_type']?.value?.value?.value?.value;
+            if (Array.isArray(registry)) {
+                for (const entry of registry) {
+                    this.damageTypes[entry.id.value] = entry.name.value.replace('minecraft:', '');
+                }
+            }
+        } catch (error) {
+            // Unknown registry layout - fall back to the heuristics
+        }
+    }
+
+    trackFall() {
+        const entity = this.bot.entity;
+        if (!entity) return;
+
+        if (entity.onGround || entity.isInWater) {
+            if (this.fallStartY !== null) {
+                const distance = this.fallStartY - entity.position.y;
+                if (distance > SAFE_FALL) {
+                    this.lastFall = { at: Date.now(), distance };
+                }
+                this.fallStartY = null;
+            }
+        } else if (this.fallStartY === null || entity.position.y > this.fallStartY) {
+            this.fallStartY = entity.position.y;
+        }
+    }
+
+    isRecent(timestamp, now) {
+        return timestamp && now - timestamp <= HIT_WINDOW;
+    }
+
+    distanceTo(entity) {
+        return this.bot.entity.position.distanceTo(entity.position);
+    }
+
+    describeEntity(entity) {
+        const distance = Math.round(this.distanceTo(entity));
+
+        if (entity.type === 'player') {
+            const item = entity.equipment?.[0];
+            const weapon = item ? formatItemName(item.name) : null;
+            return {
+                kind: 'pvp',
+                cause: 'player',
+                attacker: entity.username,
+                weapon,
+                distance,
+                description: `Damaged by player ${entity.username}${weapon ? ` with ${weapon}` : ''}`
+            };
+        }
+
+        // Arrows, tridents, fireballs... whose owner we couldn't see
+        const name = formatItemName(entity.name || 'unknown entity');
+        if (entity.type === 'projectile' || entity.kind === 'Projectiles') {
+            return { kind: 'mob', cause: 'projectile', attacker: null, weapon: null, distance, description: `Hit by ${name}` };
+        }
+        return { kind: 'mob', cause: 'mob', attacker: entity.displayName || name, weapon: null, distance, description: `Attacked by ${entity.displayName || name}` };
+    }
+
+    environment(cause) {
+        return { kind: 'environment', cause, attacker: null, weapon: null, distance: null, description: CAUSE_LABELS[cause] };
+    }
+
+    // Best explanation for damage just taken. `kind` is 'pvp', 'mob',
+    // 'environment' or 'unknown'.
+    attribute() {
+        const bot = this.bot;
+        const now = Date.now();
+        if (!bot.entity) return this.unknown();
+
+        // The server told us exactly what happened
+        const hurt = this.isRecent(this.lastHurt?.at, now) ? this.lastHurt : null;
+        if (hurt?.source && hurt.source !== bot.entity) {
+            return this.describeEntity(hurt.source);
+        }
+        const damageType = hurt?.typeId !== null && hurt?.typeId !== undefined ? this.damageTypes[hurt.typeId] : null;
+        if (damageType && CAUSE_BY_DAMAGE_TYPE[damageType]) {
+            return this.environment(CAUSE_BY_DAMAGE_TYPE[damageType]);
+        }
+
+        // Otherwise piece it together: someone swinging at us up close...
+        const swinger = Object.values(bot.entities)
+            .filter(entity => entity.type === 'player' && entity !== bot.entity && this.isRecent(this.swings.get(entity.id), now))
+            .filter(entity => this.distanceTo(entity) <= MELEE_RANGE)
+            .sort((a, b) => this.distanceTo(a) - this.distanceTo(b))[0];
+        if (swinger) return this.describeEntity(swinger);
+
+        // ...our own state...
+        if (this.isRecent(this.lastFall?.at, now)) return this.environment('fall');
+        if (bot.entity.isInLava) return this.environment('lava');
+        if ((bot.entity.metadata?.[0] ?? 0) & 0x01) return this.environment('fire');
+        if (bot.oxygenLevel === 0) return this.environment('drowning');
+        if (bot.food === 0) return this.environment('starvation');
+
+        // ...or a hostile mob within reach
+        const mob = Object.values(bot.entities)
+            .filter(entity => entity.kind === 'Hostile mobs' && this.distanceTo(entity) <= MOB_RANGE)
+            .sort((a, b) => this.distanceTo(a) - this.distanceTo(b))[0];
+        if (mob) return this.describeEntity(mob);
+
+        if (damageType) {
+            return { kind: 'unknown', cause: damageType, attacker: null, weapon: null, distance: null, description: `${formatItemName(damageType)} damage` };
+        }
+        return this.unknown();
+    }
+
+    unknown() {
+        return { kind: 'unknown', cause: 'unknown', attacker: null, weapon: null, distance: null, description: 'Source unknown' };
+    }
+}
+
+module.exports = { DamageTracker };
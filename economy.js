@@ -0,0 +1,138 @@
+// ============================================================================
+// ECONOMY HISTORY
+// ============================================================================
+
+// Amount as it appears in chat: "$1,234.50", "1.5k", "12 shards"
+const NUMBER = '(\\d[\\d,]*(?:\\.\\d+)?\\s*[kmbt]?)\\b';
+const AMOUNT = `\\$?${NUMBER}`;
+
+const DEFAULT_ECONOMY_QUERIES = {
+    shards: {
+        label: 'Shards',
+        emoji: '💎',
+        color: '#9d4edd',
+        command: '/shards',
+        patterns: [`shards?[:\\s]+${AMOUNT}`, `${AMOUNT}\\s*shards?`]
+    },
+    money: {
+        label: 'Money',
+        emoji: '💰',
+        color: '#2ecc71',
+        command: '/balance',
+        // "You have" needs the $ - plenty of other messages start like that
+        patterns: [`balance(?:\\s+is)?[:\\s]+${AMOUNT}`, `money[:\\s]+${AMOUNT}`, `you have[:\\s]+\\$${NUMBER}`]
+    }
+};
+
+const DEFAULT_ECONOMY_CONFIG = {
+    interval: 1800000, // ms between automatic checks while connected (0 = only on demand)
+    timeout: 10000 // ms to wait for the server's answer
+};
+
+const MAX_POINTS = 5000; // per account and metric, oldest dropped first
+
+// Every reading of every metric, per account:
+// { accounts: { <account>: { <metric>: [{ at, value }] } } }
+class EconomyHistory {
+    constructor(store) {
+        this.store = store;
+        this.data = store.load();
+    }
+
+    record(account, metric, value, at = Date.now()) {
+        const metrics = this.data.accounts[account] ||= {};
+        const series = metrics[metric] ||= [];
+
+        series.push({ at, value });
+        if (series.length > MAX_POINTS) {
+            series.splice(0, series.length - MAX_POINTS);
+        }
+        this.store.save(this.data);
+    }
+
+    getSeries(account, metric, since = 0) {
+        return (this.data.accounts[account]?.[metric] || []).filter(point => point.at >= since);
+    }
+
+    getLatest(account, metric) {
+        const series = this.data.accounts[account]?.[metric] || [];
+        return series[series.length - 1] || null;
+    }
+
+    // Latest value against the last reading at least `period` ms old, or null
+    // while the history doesn't reach back that far
+    getChange(account, metric, period) {
+        const series = this.data.accounts[account]?.[metric] || [];
+        const latest = series[series.length - 1];
+        if (!latest) return null;
+
+        const cutoff = latest.at - period;
+        let base = null;
+        for (const point of series) {
+            if (point.at > cutoff) break;
+            base = point;
+        }
+        if (!base) return null;
+
+        return {
+            from: base.value,
+            delta: latest.value - base.value,
+            percent: base.value !== 0 ? (latest.value - base.value) / Math.abs(base.value) * 100 : null
+        };
+    }
+}
+
+function formatAmount(value) {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// "+1,234 (+5.2%)" / "±0"
+function formatChange(change) {
+    if (!change) return 'not enough history';
+    if (change.delta === 0) return '±0';
+
+    const sign = change.delta > 0 ? '+' : '-';
+    const percent = change.percent !== null ? ` (${sign}${Math.abs(change.percent).toFixed(1)}%)` : '';
+    return `${sign}${formatAmount(Math.abs(change.delta))}${percent}`;
+}
+
+function validateEconomyConfig(config) {
+    const errors = [];
+
+    if (!Number.isInteger(config.interval) || (config.interval !== 0 && config.interval < 60000)) {
+        errors.push('economy.interval must be 0 or an integer of at least 60000 (milliseconds)');
+    }
+    if (!Number.isInteger(config.timeout) || config.timeout < 1000) {
+        errors.push('economy.timeout must be an integer of at least 1000 (milliseconds)');
+    }
+
+    for (const [name, query] of Object.entries(config.queries)) {
+        if (!/^[a-z][a-z0-9_]{0,31}$/.test(name)) {
+            errors.push(`economy.queries: "${name}" must be lowercase letters, digits or underscores`);
+        }
+        if (typeof query.command !== 'string' || !query.command.startsWith('/')) {
+            errors.push(`economy.queries.${name}.command must be a command starting with /`);
+        }
+        if (typeof query.label !== 'string' || query.label.trim() === '') {
+            errors.push(`economy.queries.${name}.label must be a non-empty string`);
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(query.color)) {
+            errors.push(`economy.queries.${name}.color must be a hex colour like #2ecc71`);
+        }
+        if (!Array.isArray(query.patterns) || query.patterns.length === 0) {
+            errors.push(`economy.queries.${name}.patterns must be a non-empty list of regular expressions`);
+            continue;
+        }
+        for (const pattern of query.patterns) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`economy.queries.${name}.patterns: ${error.message}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { DEFAULT_ECONOMY_QUERIES, DEFAULT_ECONOMY_CONFIG, EconomyHistory, formatAmount, formatChange, validateEconomyConfig };
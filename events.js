@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// SAFETY EVENT LOG
+// ============================================================================
+
+const SAFETY_EVENT_TYPES = {
+    blocked_player: { label: 'Blocked player nearby', emoji: '⛔' },
+    threat: { label: 'Untrusted player nearby', emoji: '🚨' },
+    damage: { label: 'Damage taken', emoji: '🩸' },
+    low_health: { label: 'Low health', emoji: '💀' },
+    critical_health: { label: 'Critical health', emoji: '🚑' },
+    no_food: { label: 'Out of food', emoji: '🍖' },
+    hostile_mob: { label: 'Hostile mob nearby', emoji: '🧟' },
+    kicked: { label: 'Kicked from the server', emoji: '👢' },
+    server_restart: { label: 'Server restart', emoji: '🔁' }
+};
+
+const SAFETY_EVENT_ACTIONS = {
+    log: '📝 Logged',
+    alert: '⚠️ Alerted',
+    buttons: '🔘 Alerted with actions',
+    disconnect: '🔌 Disconnected'
+};
+
+const CSV_COLUMNS = ['timestamp', 'account', 'type', 'action', 'players', 'world', 'x', 'y', 'z', 'health', 'details'];
+
+// Append-only JSON Lines file: one event per line, never rewritten, so a
+// crash can cost at most the line being written.
+class SafetyEventLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    append(event) {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n');
+        } catch (error) {
+            console.error(`Failed to write safety event to ${this.filePath}:`, error.message);
+        }
+    }
+
+    readAll() {
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read ${this.filePath}:`, error.message);
+            }
+            return [];
+        }
+
+        const events = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                // Half-written last line after a crash
+            }
+        }
+        return events;
+    }
+
+    // Oldest first, like the file
+    query({ type = null, since = null, account = null } = {}) {
+        return this.readAll().filter(event =>
+            (!type || event.type === type) &&
+            (!since || event.timestamp >= since) &&
+            (!account || event.account === account)
+        );
+    }
+}
+
+function formatEventPlayers(event) {
+    return (event.players || [])
+        .map(player => `${player.username} (${player.distance}m${player.score !== undefined ? `, score ${player.score}` : ''})`)
+        .join(', ');
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+    const rows = events.map(event => [
+        new Date(event.timestamp).toISOString(),
+        event.account,
+        event.type,
+        event.action,
+        formatEventPlayers(event),
+        event.world,
+        event.coords?.x,
+        event.coords?.y,
+        event.coords?.z,
+        event.health,
+        event.details
+    ].map(escapeCsv).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { SAFETY_EVENT_TYPES, SAFETY_EVENT_ACTIONS, SafetyEventLog, formatEventPlayers, toCsv };
@@ -0,0 +1,36 @@
+// ============================================================================
+// FOOD
+// ============================================================================
+
+// Never auto-eaten: harmful side effects, random teleports, or too valuable to
+// spend on an idle account
+const AVOID_FOODS = [
+    'rotten_flesh',
+    'spider_eye',
+    'poisonous_potato',
+    'pufferfish',
+    'chicken',
+    'chorus_fruit',
+    'suspicious_stew',
+    'ominous_bottle',
+    'golden_apple',
+    'enchanted_golden_apple'
+];
+
+// Edible inventory items the bot is allowed to eat, best first
+function getEdibleItems(bot) {
+    const foods = bot.registry?.foodsByName || {};
+    return bot.inventory.items()
+        .filter(item => foods[item.name] && !AVOID_FOODS.includes(item.name))
+        .sort((a, b) => foods[b.name].effectiveQuality - foods[a.name].effectiveQuality);
+}
+
+function countEdibleItems(bot) {
+    return getEdibleItems(bot).reduce((total, item) => total + item.count, 0);
+}
+
+function formatFood(food, saturation) {
+    return `${food}/20 (sat ${Math.round(saturation * 10) / 10})`;
+}
+
+module.exports = { getEdibleItems, countEdibleItems, formatFood };
@@ -0,0 +1,222 @@
+const path = require('path');
+const {
+    EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    ModalBuilder, TextInputBuilder, TextInputStyle, MessageFlags, escapeMarkdown
+} = require('discord.js');
+const { CONFIG } = require('./config');
+const { JsonStore } = require('./storage');
+const { stripFormatting, parseWhisper } = require('./chat');
+
+// ============================================================================
+// WHISPER INBOX
+// ============================================================================
+
+const REPLY_PREFIX = 'inbox-reply';
+const INBOX_PAGE_SIZE = 15;
+
+// Keeps every private message the accounts receive (and the replies sent from
+// Discord), forwards new ones to Discord with a Reply button and answers
+// /inbox searches.
+class WhisperInbox {
+    constructor(manager, config, whisperPatterns) {
+        this.manager = manager;
+        this.config = config;
+        this.whisperPatterns = whisperPatterns;
+        this.store = new JsonStore(path.join(CONFIG.storage.dataDir, 'inbox.json'), { messages: [] });
+    }
+
+    record(entry) {
+        const data = this.store.load();
+        data.messages.push(entry);
+        if (data.messages.length > this.config.maxMessages) {
+            data.messages.splice(0, data.messages.length - this.config.maxMessages);
+        }
+        this.store.save(data);
+    }
+
+    // Newest first
+    search({ account = null, player = null, text = null, limit = INBOX_PAGE_SIZE } = {}) {
+        const needle = text?.toLowerCase();
+        const matches = this.store.load().messages.filter(entry =>
+            (!account || entry.account === account) &&
+            (!player || entry.player.toLowerCase() === player.toLowerCase()) &&
+            (!needle || entry.message.toLowerCase().includes(needle))
+        );
+
+        return { total: matches.length, messages: matches.slice(-limit).reverse() };
+    }
+
+    // ------------------------------------------------------------------------
+    // Incoming whispers
+    // ------------------------------------------------------------------------
+
+    handleGameMessage(session, text, position) {
+        if (position === 'game_info') return;
+
+        const whisper = parseWhisper(stripFormatting(text).trim(), this.whisperPatterns);
+        if (!whisper) return;
+
+        const entry = {
+            account: session.id,
+            direction: 'in',
+            player: whisper.username,
+            message: whisper.message,
+            timestamp: Date.now()
+        };
+
+        try {
+            this.record(entry);
+        } catch (error) {
+            console.error(`[${session.id}] Failed to save whisper:`, error);
+        }
+
+        console.log(`[${session.id}] 📩 ${entry.player}: ${entry.message}`);
+        this.notify(session, entry).catch(error => console.error(`[${session.id}] Failed to forward whisper:`, error));
+    }
+
+    async notify(session, entry) {
+        const embed = new EmbedBuilder()
+            .setTitle(`📩 Whisper from ${entry.player}`)
+            .setDescription(escapeMarkdown(entry.message))
+            .addFields(
+                { name: '👤 **Account**', value: `\`${session.minecraftBot?.username || session.id}\``, inline: true },
+                { name: '⏰ **Time**', value: `<t:${Math.floor(entry.timestamp / 1000)}:R>`, inline: true }
+            )
+            .setColor('#9b59b6')
+            .setTimestamp(entry.timestamp);
+        const message = { embeds: [embed], components: [this.createReplyRow(session.id, entry.player)] };
+
+        if (this.config.channelId) {
+            const channel = await this.manager.discordClient.channels.fetch(this.config.channelId);
+            await channel.send(message);
+            return;
+        }
+
+        if (session.lastAuthUser) {
+            try {
+                await session.lastAuthUser.send(message);
+                return;
+            } catch (error) {
+                // DMs closed - fall through to the control channel
+            }
+        }
+
+        const channel = await this.manager.discordClient.channels.fetch(CONFIG.discord.channelId);
+        await channel?.send(message);
+    }
+
+    // ------------------------------------------------------------------------
+    // Replies from Discord
+    // ------------------------------------------------------------------------
+
+    isReplyInteraction(interaction) {
+        return interaction.customId.startsWith(`${REPLY_PREFIX}:`);
+    }
+
+    createReplyRow(accountId, player) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${REPLY_PREFIX}:${accountId}:${player}`)
+                .setLabel('Reply')
+                .setEmoji('↩️')
+                .setStyle(ButtonStyle.Primary)
+        );
+    }
+
+    parseReplyId(customId) {
+        // Account ids may contain ':', player names never do
+        const rest = customId.substring(REPLY_PREFIX.length + 1);
+        const separator = rest.lastIndexOf(':');
+        return { accountId: rest.substring(0, separator), player: rest.substring(separator + 1) };
+    }
+
+    // Room left in a 256 character chat line once the command and name are filled in
+    // (never below 1, which Discord would reject)
+    getMaxReplyLength(player) {
+        return Math.max(1, 256 - this.config.replyCommand.replace('{player}', player).replace('{message}', '').length);
+    }
+
+    async handleReplyButton(interaction) {
+        const { accountId, player } = this.parseReplyId(interaction.customId);
+
+        const modal = new ModalBuilder()
+            .setCustomId(interaction.customId)
+            .setTitle(`Reply to ${player}`.substring(0, 45))
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('message')
+                        .setLabel(`Message (sent from ${accountId})`.substring(0, 45))
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setMaxLength(this.getMaxReplyLength(player))
+                        .setRequired(true)
+                )
+            );
+
+        await interaction.showModal(modal);
+    }
+
+    async handleReplySubmit(interaction) {
+        const { accountId, player } = this.parseReplyId(interaction.customId);
+        const session = this.manager.sessions.get(accountId);
+        const message = interaction.fields.getTextInputValue('message').replace(/\s+/g, ' ').trim();
+
+        if (!session?.isConnected || !session.minecraftBot) {
+            await interaction.reply({
+                content: `❌ \`${accountId}\` is not connected - the reply to **${escapeMarkdown(player)}** was not sent.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        // Function replacements so '$' in the message isn't treated as a pattern
+        session.minecraftBot.chat(this.config.replyCommand.replace('{player}', () => player).replace('{message}', () => message));
+        this.record({
+            account: session.id,
+            direction: 'out',
+            player,
+            message,
+            timestamp: Date.now()
+        });
+
+        await interaction.reply({
+            content: `✅ Replied to **${escapeMarkdown(player)}**: ${escapeMarkdown(message)}`,
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // /inbox
+    // ------------------------------------------------------------------------
+
+    createInboxEmbed(filters) {
+        const { total, messages } = this.search(filters);
+        const lines = messages.map(entry => {
+            const time = `<t:${Math.floor(entry.timestamp / 1000)}:R>`;
+            const direction = entry.direction === 'in'
+                ? `📩 **${escapeMarkdown(entry.player)}** → \`${entry.account}\``
+                : `↩️ \`${entry.account}\` → **${escapeMarkdown(entry.player)}**`;
+            return `${time} ${direction}: ${escapeMarkdown(entry.message).substring(0, 200)}`;
+        });
+
+        const filterText = [
+            filters.account && `account ${filters.account}`,
+            filters.player && `player ${filters.player}`,
+            filters.text && `containing "${filters.text}"`
+        ].filter(Boolean).join(', ');
+
+        let description = lines.length > 0 ? lines.join('\n') : 'No whispers found.';
+        if (description.length > 4000) {
+            description = `${description.substring(0, 4000)}…`;
+        }
+
+        return new EmbedBuilder()
+            .setTitle('📬 Whisper Inbox')
+            .setDescription(description)
+            .setColor('#9b59b6')
+            .setFooter({ text: `Showing ${messages.length} of ${total}${filterText ? ` • ${filterText}` : ''}` })
+            .setTimestamp();
+    }
+}
+
+module.exports = { WhisperInbox };
@@ -2,32 +2,29 @@
 // DOGGO - Minecraft Discord Bot
 // ============================================================================
 
-const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
-const mineflayer = require('mineflayer');
+const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder, SlashCommandBuilder, REST, Routes, MessageFlags } = require('discord.js');
 const express = require('express');
 const http = require('http');
-const { StartupLogger } = require('./utils');
-
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-const CONFIG = {
-    discord: {
-        token: process.env.DISCORD_BOT_TOKEN,
-        channelId: process.env.DISCORD_CHANNEL_ID
-    },
-    minecraft: {
-        host: 'donutsmp.net',
-        port: 25565,
-        version: '1.21.4',
-        auth: 'microsoft'
-    },
-    webServer: {
-        port: process.env.PORT || 5000,
-        host: '0.0.0.0'
-    }
-};
+const path = require('path');
+const { StartupLogger, parseDuration, formatDuration } = require('./utils');
+const { CONFIG, CONFIG_ERRORS, CONFIG_SOURCE } = require('./config');
+const { MinecraftSession } = require('./session');
+const { JsonStore } = require('./storage');
+const { SAFETY_SETTINGS, formatSafetyValue } = require('./safety');
+const { TokenCache } = require('./auth');
+const { ChatBridge, compileWhisperPatterns } = require('./chat');
+const { WhisperInbox } = require('./inbox');
+const { PERMISSION_ACTIONS, PermissionManager, requireApiKey } = require('./permissions');
+const { SAFETY_EVENT_TYPES, SAFETY_EVENT_ACTIONS, SafetyEventLog, formatEventPlayers, toCsv } = require('./events');
+const { PlayerTracker } = require('./tracker');
+const { AlertRouter } = require('./alerts');
+const { AFK_ROUTINES } = require('./afk');
+const { SCHEDULE_MODES, Schedule } = require('./schedule');
+const { ServerMonitor, formatServerStatus } = require('./ping');
+const { EconomyHistory, formatAmount, formatChange } = require('./economy');
+const { renderLineChart } = require('./chart');
+
+const PLAYER_NAME_PATTERN = /^\.?\w{1,16}$/;
 
 // ============================================================================
 // MAIN BOT CLASS
@@ -38,32 +35,49 @@ class MinecraftDiscordBot {
         this.discordClient = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages
+                GatewayIntentBits.GuildMessages,
+                // Privileged - only requested when the chat bridge needs to read messages
+                ...(CONFIG.bridge.channelId ? [GatewayIntentBits.MessageContent] : [])
             ]
         });
-        this.minecraftBot = null;
-        this.controlMessage = null;
-        this.isConnected = false;
-        this.isConnecting = false;
-        this.authUrl = null;
-        this.userCode = null;
-        this.shouldJoin = false;
-        this.originalConsoleLog = null;
-        this.originalStdoutWrite = null;
-        this.authMessageSent = false;
-        this.authCheckTimeout = null;
-        this.lastAuthUser = null;
-        this.authInteraction = null;
-        this.originalStderrWrite = null;
-        this.authCheckInterval = null;
-
-        // Enhanced features
-        this.currentWorld = 'Unknown';
-        this.currentCoords = { x: 0, y: 0, z: 0 };
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10000;
-        this.reconnectDelay = 15000;
         this.statusUpdateInterval = null;
+        this.tokenCheckInterval = null;
+        this.scheduleCheckInterval = null;
+        this.serverPingInterval = null;
+
+        // Microsoft token cache and the profile each account last logged in as
+        this.tokenCache = new TokenCache(CONFIG.auth.profilesFolder);
+        this.authStore = new JsonStore(path.join(CONFIG.storage.dataDir, 'auth.json'), {});
+        this.tokenWarnings = new Map(); // account id -> refresh token timestamp already warned about
+
+        // Per-account safety overrides, keyed by account id
+        this.safetyStore = new JsonStore(path.join(CONFIG.storage.dataDir, 'safety.json'), {});
+        this.afkStore = new JsonStore(path.join(CONFIG.storage.dataDir, 'afk.json'), {}); // account id -> anti-AFK routine
+        this.panelStore = new JsonStore(path.join(CONFIG.storage.dataDir, 'panels.json'), {}); // account id -> { channelId, messageId }
+        this.stateStore = new JsonStore(path.join(CONFIG.storage.dataDir, 'state.json'), {}); // account id -> { online, userId of whoever last pressed Connect, manualOffline }
+        // Server list pings: before every connection attempt and in the background
+        this.serverMonitor = new ServerMonitor(CONFIG.minecraft, CONFIG.statusPing);
+        this.schedule = new Schedule(new JsonStore(path.join(CONFIG.storage.dataDir, 'schedule.json'), { entries: [], nextId: 1 }));
+        this.safetyLog = new SafetyEventLog(path.join(CONFIG.storage.dataDir, 'safety-events.jsonl'));
+        this.alertRouter = new AlertRouter(this, CONFIG.alerts);
+
+        // Shards, money etc. read back from the server over time
+        this.economy = new EconomyHistory(new JsonStore(path.join(CONFIG.storage.dataDir, 'economy.json'), { accounts: {} }));
+
+        // Who has come within range of our accounts, and how often
+        this.playerTracker = new PlayerTracker(new JsonStore(path.join(CONFIG.storage.dataDir, 'sightings.json'), { players: {} }));
+
+        // One session per configured Minecraft account
+        this.sessions = new Map();
+        for (const account of CONFIG.accounts) {
+            this.sessions.set(account.id, new MinecraftSession(this, account));
+        }
+
+        // Minecraft <-> Discord chat bridge (disabled without a channel)
+        // Both parse private messages, with one compiled set of patterns
+        const whisperPatterns = compileWhisperPatterns(CONFIG.chat.whisperPatterns);
+        this.chatBridge = new ChatBridge(this, CONFIG.bridge, whisperPatterns);
+        this.inbox = new WhisperInbox(this, CONFIG.inbox, whisperPatterns);
 
         // Web server properties
         this.app = null;
@@ -73,84 +87,429 @@ class MinecraftDiscordBot {
         this.lastScoreboard = null;
         this.scoreboardUpdateInterval = null;
 
-        // Safety features
-        this.safetyConfig = {
-            enabled: true, // toggle safety monitoring
-            proximityRadius: 50, // blocks
-            minHealth: 10, // health points (out of 20)
-            alertCooldown: 30000, // 30 seconds between alerts
-            autoDisconnectOnThreat: true, // auto-disconnect when threatened
-            autoDisconnectHealth: 6, // disconnect below this health
-            spawnProtection: true // toggle spawn area protection (for testing server restart detection)
-        };
-        this.nearbyPlayers = new Map();
-        this.lastHealthAlert = 0;
-        this.lastProximityAlert = 0;
-        this.currentHealth = 20;
-        this.lastHealth = 20;
-        
-        // Whitelist/Blacklist system
-        this.trustedPlayers = new Set(process.env.TRUSTED_PLAYERS?.split(',') || []);
-        this.blockedPlayers = new Set(process.env.BLOCKED_PLAYERS?.split(',') || []);
+        // Whitelist/Blacklist system (env vars only seed the store on first run)
+        this.playerListStore = new JsonStore(path.join(CONFIG.storage.dataDir, 'players.json'), { trusted: [], blocked: [] });
+        this.trustedPlayers = new Set();
+        this.blockedPlayers = new Set();
+        this.loadPlayerLists();
+
+        // Who may use which Discord actions
+        this.permissions = new PermissionManager(CONFIG.permissions);
 
         this.setupDiscordEvents();
         this.setupSlashCommands();
     }
 
+    // ========================================================================
+    // ACCOUNT SESSIONS
+    // ========================================================================
+
+    // Falls back to the first configured account when no selector is given
+    getSession(accountId) {
+        if (!accountId) {
+            return this.sessions.values().next().value;
+        }
+        return this.sessions.get(accountId) || null;
+    }
+
+    getSessionForRequest(req, res) {
+        const accountId = req.body?.account || req.query.account;
+        const session = this.getSession(accountId);
+
+        if (!session) {
+            res.status(404).json({
+                success: false,
+                message: `Unknown account: ${accountId}`,
+                availableAccounts: [...this.sessions.keys()]
+            });
+            return null;
+        }
+        return session;
+    }
+
+    async getSessionForInteraction(interaction) {
+        const accountId = interaction.options.getString('account');
+        const session = this.getSession(accountId);
+
+        if (!session) {
+            await interaction.reply({
+                content: `❌ Unknown account \`${accountId}\`! Available: ${[...this.sessions.keys()].map(id => `\`${id}\``).join(', ')}`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return null;
+        }
+        return session;
+    }
+
+    // ========================================================================
+    // PERMISSIONS
+    // ========================================================================
+
+    // Which permission a slash command needs; read-only commands need none
+    getCommandPermission(interaction) {
+        const subcommand = interaction.options.getSubcommand(false);
+
+        switch (interaction.commandName) {
+            case 'message':
+            case 'shards':
+                return 'chat';
+            case 'connect':
+                return 'connect';
+            case 'disconnect':
+                return 'disconnect';
+            case 'safety':
+                return subcommand === 'show' ? null : 'safety';
+            case 'afk':
+                return 'safety';
+            case 'schedule':
+                return subcommand === 'list' ? null : 'connect';
+            case 'economy':
+                // Refreshing sends commands in-game
+                return interaction.options.getBoolean('refresh') ? 'chat' : null;
+            case 'trust':
+            case 'block':
+                return subcommand === 'list' ? null : 'safety';
+            case 'auth':
+                // Logging out forces a new sign-in, so it is treated like connecting
+                return subcommand === 'logout' ? 'connect' : null;
+            default:
+                return null;
+        }
+    }
+
+    // Replies with an error and returns false when the user may not do `action`
+    async checkPermission(interaction, action) {
+        let member = interaction.member;
+
+        // DMs (e.g. whisper replies) carry no member - look the user up in the control channel's server
+        if (!member && this.permissions.getRule(action).roleIds.length > 0) {
+            try {
+                const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
+                member = await channel?.guild?.members.fetch(interaction.user.id);
+            } catch (error) {
+                // Not in the server - only user allowlists can match
+            }
+        }
+
+        if (this.permissions.isAllowed(action, interaction.user, member)) {
+            return true;
+        }
+
+        console.log(`Denied ${interaction.user.tag} permission to ${this.permissions.describe(action)}`);
+        await interaction.reply({
+            content: `🔒 You don't have permission to ${this.permissions.describe(action)}.`,
+            flags: [MessageFlags.Ephemeral]
+        });
+        return false;
+    }
+
+    // ========================================================================
+    // TRUSTED / BLOCKED PLAYERS
+    // ========================================================================
+
+    loadPlayerLists() {
+        if (!this.playerListStore.exists()) {
+            const parseEnvList = (value) => (value || '').split(',').map(name => name.trim()).filter(Boolean);
+            this.trustedPlayers = new Set(parseEnvList(process.env.TRUSTED_PLAYERS));
+            this.blockedPlayers = new Set(parseEnvList(process.env.BLOCKED_PLAYERS));
+            this.savePlayerLists();
+            return;
+        }
+
+        const data = this.playerListStore.load();
+        this.trustedPlayers = new Set(data.trusted);
+        this.blockedPlayers = new Set(data.blocked);
+    }
+
+    savePlayerLists() {
+        try {
+            this.playerListStore.save({
+                trusted: [...this.trustedPlayers].sort(),
+                blocked: [...this.blockedPlayers].sort()
+            });
+        } catch (error) {
+            console.error('Failed to save player lists:', error);
+        }
+    }
+
+    // Returns the name the list moved it from (if it was on the other list)
+    addPlayerToList(list, otherList, player) {
+        const movedFrom = this.findPlayerInList(otherList, player);
+        if (movedFrom) {
+            otherList.delete(movedFrom);
+        }
+        list.add(player);
+        this.savePlayerLists();
+        return movedFrom;
+    }
+
+    // Minecraft usernames are case-insensitive
+    findPlayerInList(list, username) {
+        const lower = username.toLowerCase();
+        for (const name of list) {
+            if (name.toLowerCase() === lower) return name;
+        }
+        return null;
+    }
+
+    isTrusted(username) {
+        return this.findPlayerInList(this.trustedPlayers, username) !== null;
+    }
+
+    isBlocked(username) {
+        return this.findPlayerInList(this.blockedPlayers, username) !== null;
+    }
+
+    // Stored stats plus whatever the open encounters add right now
+    getPlayerStats(username) {
+        const stats = this.playerTracker.get(username);
+        if (!stats) return null;
+
+        const now = Date.now();
+        const nearNow = [];
+        let liveTime = 0;
+        for (const session of this.sessions.values()) {
+            const encounter = [...session.nearbyPlayers.values()].find(e => e.username.toLowerCase() === username.toLowerCase());
+            if (encounter) {
+                nearNow.push({ account: session.id, distance: encounter.distance });
+                liveTime += now - encounter.enteredAt;
+            }
+        }
+
+        return {
+            ...stats,
+            timeInRange: stats.timeInRange + liveTime,
+            trusted: this.isTrusted(stats.username),
+            blocked: this.isBlocked(stats.username),
+            nearNow
+        };
+    }
+
+    getNearbyPlayers(session) {
+        const now = Date.now();
+        return [...session.nearbyPlayers.values()]
+            .sort((a, b) => a.distance - b.distance)
+            .map(encounter => ({
+                username: encounter.username,
+                distance: encounter.distance,
+                closestDistance: encounter.closestDistance,
+                inRangeFor: now - encounter.enteredAt,
+                trusted: this.isTrusted(encounter.username),
+                blocked: this.isBlocked(encounter.username)
+            }));
+    }
+
+    // ========================================================================
+    // MICROSOFT TOKEN CACHE
+    // ========================================================================
+
+    recordAuthProfile(session) {
+        const profile = session.minecraftBot?._client?.session?.selectedProfile;
+
+        try {
+            const data = this.authStore.load();
+            data[session.id] = {
+                profileName: profile?.name || session.minecraftBot?.username || null,
+                uuid: profile?.id || null,
+                lastLogin: Date.now()
+            };
+            this.authStore.save(data);
+        } catch (error) {
+            console.error(`[${session.id}] Failed to record auth profile:`, error);
+        }
+    }
+
+    getAuthStatus(session) {
+        return {
+            ...this.tokenCache.getStatus(session.getLoginUsername()),
+            ...this.authStore.load()[session.id]
+        };
+    }
+
+    // Microsoft only makes us sign in again once the refresh token lapses, so
+    // that is what we warn about; the Minecraft token itself renews silently.
+    async checkTokenExpiry() {
+        if (CONFIG.minecraft.auth !== 'microsoft') return;
+
+        const warningWindow = CONFIG.auth.refreshWarningDays * 24 * 60 * 60 * 1000;
+
+        for (const session of this.sessions.values()) {
+            const status = this.getAuthStatus(session);
+            if (!status.reauthRequiredAt) continue;
+            if (status.reauthRequiredAt - Date.now() > warningWindow) continue;
+            if (this.tokenWarnings.get(session.id) === status.refreshTokenRenewedAt) continue;
+
+            this.tokenWarnings.set(session.id, status.refreshTokenRenewedAt);
+
+            const expired = status.reauthRequiredAt <= Date.now();
+            const embed = new EmbedBuilder()
+                .setTitle(expired ? `🔑 Sign-in Expired — ${session.id}` : `🔑 Sign-in Expiring Soon — ${session.id}`)
+                .setDescription(expired
+                    ? 'The cached Microsoft sign-in has lapsed. The next connect will ask for a new device code.'
+                    : `The cached Microsoft sign-in lapses <t:${Math.floor(status.reauthRequiredAt / 1000)}:R>. Connecting before then renews it without a new device code.`)
+                .addFields(
+                    { name: '👤 Profile', value: status.profileName ? `\`${status.profileName}\`` : 'Unknown', inline: true },
+                    { name: '🔄 Last Renewed', value: `<t:${Math.floor(status.refreshTokenRenewedAt / 1000)}:f>`, inline: true }
+                )
+                .setColor(expired ? '#ff0000' : '#ff9900')
+                .setTimestamp();
+
+            await this.sendAuthNotice(session, embed);
+        }
+    }
+
+    async sendAuthNotice(session, embed) {
+        try {
+            const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
+            await channel?.send({ embeds: [embed] });
+        } catch (error) {
+            console.error(`[${session.id}] Failed to post auth notice:`, error);
+        }
+
+        if (session.lastAuthUser) {
+            try {
+                await session.lastAuthUser.send({ embeds: [embed] });
+            } catch (error) {
+                // DMs closed - the channel post is enough
+            }
+        }
+    }
+
+    // ========================================================================
+    // IN-GAME CHAT
+    // ========================================================================
+
+    handleChatMessage(session, text, position) {
+        this.chatBridge.handleGameMessage(session, text, position);
+        this.inbox.handleGameMessage(session, text, position);
+    }
+
     // ========================================================================
     // STARTUP & INITIALIZATION
     // ========================================================================
 
     async start() {
         const services = [];
-        
+
+        services.push({
+            name: 'Configuration',
+            status: CONFIG_ERRORS.length === 0,
+            statusText: CONFIG_ERRORS.length === 0 ? 'VALID' : 'INVALID',
+            details: CONFIG_ERRORS.length === 0
+                ? `${CONFIG_SOURCE} - ${CONFIG.profile} profile, ${CONFIG.minecraft.host}:${CONFIG.minecraft.port} (${CONFIG.minecraft.auth})`
+                : CONFIG_ERRORS.join('; ')
+        });
+
+        // Stop before logging in: the ready handler would register commands and
+        // resume sessions with the invalid config
+        if (CONFIG_ERRORS.length > 0) {
+            StartupLogger.showStatus(services);
+            throw new Error('Invalid configuration - fix the errors above and restart');
+        }
+
         try {
             await this.discordClient.login(CONFIG.discord.token);
-            services.push({ 
-                name: 'Discord Bot', 
-                status: true, 
-                details: this.discordClient.user?.tag 
+            services.push({
+                name: 'Discord Bot',
+                status: true,
+                details: this.discordClient.user?.tag
             });
 
             this.updateDiscordActivity('🔴 Offline', require('discord.js').ActivityType.Watching);
 
             this.statusUpdateInterval = setInterval(() => {
-                if (this.isConnected && this.minecraftBot) {
-                    this.updatePositionInfo();
-                    this.updateEmbed();
-                    this.updateDiscordActivity();
+                for (const session of this.sessions.values()) {
+                    if (session.isConnected && session.minecraftBot) {
+                        session.updatePositionInfo();
+                        session.updateEmbed();
+                    }
                 }
+                this.updateDiscordActivity();
             }, 30000);
 
         } catch (error) {
-            services.push({ 
-                name: 'Discord Bot', 
-                status: false, 
-                details: error.message 
+            services.push({
+                name: 'Discord Bot',
+                status: false,
+                details: error.message
             });
         }
 
         try {
             await this.startWebServer();
-            services.push({ 
-                name: 'Web Server', 
-                status: true, 
-                details: `http://${CONFIG.webServer.host}:${CONFIG.webServer.port}` 
+            services.push({
+                name: 'Web Server',
+                status: true,
+                details: `http://${CONFIG.webServer.host}:${CONFIG.webServer.port}${CONFIG.webServer.apiKey ? '' : ' (control routes disabled: no API_KEY)'}`
             });
         } catch (error) {
-            services.push({ 
-                name: 'Web Server', 
-                status: false, 
-                details: error.message 
+            services.push({
+                name: 'Web Server',
+                status: false,
+                details: error.message
+            });
+        }
+
+        if (this.chatBridge.enabled) {
+            const canSend = CONFIG.bridge.allowedUserIds.length > 0 || CONFIG.bridge.allowedRoleIds.length > 0;
+            services.push({
+                name: 'Chat Bridge',
+                status: true,
+                details: `#${CONFIG.bridge.channelId} <-> ${CONFIG.bridge.account}${canSend ? '' : ' (read-only: no allowed users/roles)'}`
             });
         }
 
-        services.push({ 
-            name: 'Minecraft Bot', 
-            status: true, 
-            details: 'Ready (awaiting connection)' 
+        const alertRoutes = [
+            CONFIG.alerts.dm.includeConnectUser && 'connecting user',
+            CONFIG.alerts.dm.userIds.length > 0 && `${CONFIG.alerts.dm.userIds.length} DM recipient(s)`,
+            CONFIG.alerts.channel.id && `#${CONFIG.alerts.channel.id}`,
+            CONFIG.alerts.webhooks.length > 0 && `${CONFIG.alerts.webhooks.length} webhook(s)`
+        ].filter(Boolean);
+        services.push({
+            name: 'Safety Alerts',
+            status: alertRoutes.length > 0,
+            statusText: alertRoutes.length > 0 ? 'ROUTED' : 'NO ROUTES',
+            details: alertRoutes.length > 0 ? alertRoutes.join(', ') : 'alerts go to the control channel'
         });
 
+        const restricted = Object.keys(PERMISSION_ACTIONS).filter(action => this.permissions.isRestricted(action));
+        services.push({
+            name: 'Permissions',
+            status: true,
+            statusText: restricted.length > 0 ? 'RESTRICTED' : 'OPEN',
+            details: restricted.length > 0
+                ? `allowlists for ${restricted.join(', ')}`
+                : 'anyone in the control channel can use every command'
+        });
+
+        const serverStatus = await this.serverMonitor.check();
+        services.push({
+            name: 'Minecraft Server',
+            // Not a startup failure: accounts wait for the server to come up
+            status: true,
+            statusText: serverStatus.online ? 'REACHABLE' : 'UNREACHABLE',
+            details: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port} - ${formatServerStatus(serverStatus).replace('\n', ' ')}`
+        });
+        if (CONFIG.statusPing.interval > 0) {
+            this.serverPingInterval = setInterval(() => this.refreshServerStatus(), CONFIG.statusPing.interval);
+        }
+
+        const resuming = [...this.sessions.values()].filter(session => session.wasOnline()).map(session => session.id);
+        services.push({
+            name: 'Minecraft Bot',
+            status: true,
+            details: `${resuming.length > 0 ? `Resuming ${resuming.join(', ')}` : 'Ready (awaiting connection)'} - ${this.sessions.size} account(s): ${[...this.sessions.keys()].join(', ')}`
+        });
+
+        const windows = this.schedule.list().length;
+        if (windows > 0) {
+            services.push({
+                name: 'Schedule',
+                status: true,
+                details: `${windows} window(s) - see /schedule list`
+            });
+        }
+
         StartupLogger.showStatus(services);
 
         const allOnline = services.every(s => s.status);
@@ -161,7 +520,7 @@ class MinecraftDiscordBot {
 
     async startWebServer() {
         this.app = express();
-        
+
         this.app.use(express.json());
         this.app.use(express.static('public'));
         this.setupWebRoutes();
@@ -185,15 +544,21 @@ class MinecraftDiscordBot {
     setupWebRoutes() {
         // Health check endpoint
         this.app.get('/health', (req, res) => {
+            const defaultSession = this.getSession();
             res.json({
                 status: 'ok',
                 timestamp: new Date().toISOString(),
                 minecraft: {
-                    connected: this.isConnected,
-                    username: this.minecraftBot?.username || null,
-                    world: this.currentWorld,
-                    coordinates: this.currentCoords
+                    connected: defaultSession.isConnected,
+                    username: defaultSession.minecraftBot?.username || null,
+                    world: defaultSession.currentWorld,
+                    coordinates: defaultSession.currentCoords
                 },
+                accounts: [...this.sessions.values()].map(session => ({
+                    account: session.id,
+                    connected: session.isConnected,
+                    username: session.minecraftBot?.username || null
+                })),
                 discord: {
                     connected: this.discordClient.readyTimestamp !== null,
                     username: this.discordClient.user?.tag || null
@@ -201,20 +566,17 @@ class MinecraftDiscordBot {
             });
         });
 
-        // Bot status endpoint
+        // Bot status endpoint (?account=<id> selects which account fills "minecraft")
         this.app.get('/status', (req, res) => {
+            const session = this.getSessionForRequest(req, res);
+            if (!session) return;
+
             res.json({
-                minecraft: {
-                    connected: this.isConnected,
-                    shouldJoin: this.shouldJoin,
-                    username: this.minecraftBot?.username || null,
-                    server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
-                    version: CONFIG.minecraft.version,
-                    world: this.currentWorld,
-                    coordinates: this.currentCoords,
-                    reconnectAttempts: this.reconnectAttempts,
-                    maxReconnectAttempts: this.maxReconnectAttempts,
-                    authRequired: !!(this.authUrl && this.userCode)
+                minecraft: session.getStatus(),
+                accounts: [...this.sessions.values()].map(s => s.getStatus()),
+                server: {
+                    address: session.getServerAddress(),
+                    ...this.serverMonitor.status
                 },
                 discord: {
                     connected: this.discordClient.readyTimestamp !== null,
@@ -226,46 +588,99 @@ class MinecraftDiscordBot {
             });
         });
 
-        // Control endpoints
-        this.app.post('/connect', async (req, res) => {
-            if (this.isConnected) {
-                return res.json({ success: false, message: 'Bot already connected' });
+        // Control endpoints (Authorization: Bearer <API_KEY> or X-API-Key)
+        const apiKeyRequired = requireApiKey(CONFIG.webServer.apiKey);
+        // Safety history and sightings give away where the accounts are and who visits
+        const dataKeyRequired = CONFIG.webServer.publicDataRoutes ? (req, res, next) => next() : apiKeyRequired;
+
+        this.app.post('/connect', apiKeyRequired, async (req, res) => {
+            const session = this.getSessionForRequest(req, res);
+            if (!session) return;
+
+            if (session.isConnected) {
+                return res.json({ success: false, message: 'Bot already connected', account: session.id });
             }
 
-            this.shouldJoin = true;
-            this.reconnectAttempts = 0;
-            await this.connectToMinecraft();
-            
-            res.json({ success: true, message: 'Connection initiated' });
+            await session.connect();
+
+            res.json({ success: true, message: 'Connection initiated', account: session.id });
         });
 
-        this.app.post('/disconnect', async (req, res) => {
-            this.shouldJoin = false;
-            this.reconnectAttempts = 0;
-            
-            if (this.minecraftBot) {
-                this.minecraftBot.quit();
-                this.minecraftBot = null;
-            }
-            
-            await this.updateEmbed();
-            res.json({ success: true, message: 'Bot disconnected' });
+        this.app.post('/disconnect', apiKeyRequired, async (req, res) => {
+            const session = this.getSessionForRequest(req, res);
+            if (!session) return;
+
+            await session.disconnect();
+            res.json({ success: true, message: 'Bot disconnected', account: session.id });
         });
 
         // Send chat message endpoint
-        this.app.post('/chat', (req, res) => {
-            const { message } = req.body;
-            
-            if (!this.isConnected || !this.minecraftBot) {
-                return res.json({ success: false, message: 'Bot not connected' });
+        this.app.post('/chat', apiKeyRequired, (req, res) => {
+            const session = this.getSessionForRequest(req, res);
+            if (!session) return;
+
+            const { message } = req.body || {};
+
+            if (!session.isConnected || !session.minecraftBot) {
+                return res.json({ success: false, message: 'Bot not connected', account: session.id });
             }
-            
+
             if (!message || typeof message !== 'string') {
                 return res.json({ success: false, message: 'Invalid message' });
             }
 
-            this.minecraftBot.chat(message);
-            res.json({ success: true, message: 'Message sent' });
+            session.minecraftBot.chat(message);
+            res.json({ success: true, message: 'Message sent', account: session.id });
+        });
+
+        // Player sightings (?account= limits "nearby", ?sort=lastSeen|encounters|timeInRange)
+        this.app.get('/players', dataKeyRequired, (req, res) => {
+            const { account, sort = 'lastSeen' } = req.query;
+            if (!['lastSeen', 'encounters', 'timeInRange'].includes(sort)) {
+                return res.status(400).json({ success: false, message: 'sort must be lastSeen, encounters or timeInRange' });
+            }
+
+            let sessions = [...this.sessions.values()];
+            if (account) {
+                const session = this.getSessionForRequest(req, res);
+                if (!session) return;
+                sessions = [session];
+            }
+
+            res.json({
+                nearby: sessions.map(session => ({ account: session.id, players: this.getNearbyPlayers(session) })),
+                players: this.playerTracker.list()
+                    .map(stats => this.getPlayerStats(stats.username))
+                    .sort((a, b) => b[sort] - a[sort])
+            });
+        });
+
+        // Safety event export (?format=csv|json, ?type=, ?since=24h, ?account=)
+        this.app.get('/history', dataKeyRequired, (req, res) => {
+            const { format = 'json', type, since, account } = req.query;
+
+            if (type && !SAFETY_EVENT_TYPES[type]) {
+                return res.status(400).json({ success: false, message: `Unknown type "${type}"`, types: Object.keys(SAFETY_EVENT_TYPES) });
+            }
+            const sinceMs = since ? parseDuration(since) : null;
+            if (since && sinceMs === null) {
+                return res.status(400).json({ success: false, message: 'since must look like 30m, 24h or 7d' });
+            }
+            if (account && !this.sessions.has(account)) {
+                return res.status(404).json({ success: false, message: `Unknown account "${account}"`, availableAccounts: [...this.sessions.keys()] });
+            }
+
+            const events = this.safetyLog.query({ type, account, since: sinceMs ? Date.now() - sinceMs : null });
+
+            if (format === 'csv') {
+                res.attachment('safety-events.csv');
+                res.type('text/csv').send(toCsv(events));
+            } else if (format === 'json') {
+                res.attachment('safety-events.json');
+                res.json(events);
+            } else {
+                res.status(400).json({ success: false, message: 'format must be csv or json' });
+            }
         });
 
         // Root endpoint with basic info
@@ -276,15 +691,21 @@ class MinecraftDiscordBot {
                 endpoints: {
                     'GET /': 'This endpoint',
                     'GET /health': 'Health check',
-                    'GET /status': 'Detailed bot status',
-                    'POST /connect': 'Connect to Minecraft server',
-                    'POST /disconnect': 'Disconnect from Minecraft server',
-                    'POST /chat': 'Send chat message (requires {message: "text"})'
+                    'GET /status': 'Detailed bot status (optional ?account=<id>)',
+                    'POST /connect': 'Connect to Minecraft server (optional {account: "id"})',
+                    'POST /disconnect': 'Disconnect from Minecraft server (optional {account: "id"})',
+                    'POST /chat': 'Send chat message (requires {message: "text"}, optional {account: "id"})',
+                    'GET /players': 'Players currently nearby and lifetime sighting stats (optional ?account=, ?sort=)',
+                    'GET /history': 'Safety event log download (?format=csv|json, optional ?type=, ?since=24h, ?account=)'
                 },
+                authentication: CONFIG.webServer.apiKey
+                    ? `${CONFIG.webServer.publicDataRoutes ? 'POST endpoints' : 'POST endpoints, GET /players and GET /history'} require "Authorization: Bearer <API_KEY>" or "X-API-Key: <API_KEY>"`
+                    : `${CONFIG.webServer.publicDataRoutes ? 'POST endpoints are' : 'POST endpoints, GET /players and GET /history are'} disabled until API_KEY is set`,
                 minecraft: {
                     server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
                     version: CONFIG.minecraft.version,
-                    connected: this.isConnected
+                    connected: [...this.sessions.values()].some(s => s.isConnected),
+                    accounts: [...this.sessions.keys()]
                 }
             });
         });
@@ -304,7 +725,7 @@ class MinecraftDiscordBot {
             res.status(404).json({
                 success: false,
                 message: 'Endpoint not found',
-                availableEndpoints: ['/', '/health', '/status', '/connect', '/disconnect', '/chat']
+                availableEndpoints: ['/', '/health', '/status', '/connect', '/disconnect', '/chat', '/players', '/history']
             });
         });
     }
@@ -316,74 +737,109 @@ class MinecraftDiscordBot {
     setupDiscordEvents() {
         this.discordClient.once('clientReady', async () => {
             await this.registerSlashCommands();
-            await this.setupControlMessage();
+            await this.setupControlMessages();
+            await this.resumeSessions();
+
+            // Windows are minute-based; checking more often keeps the edges close
+            this.scheduleCheckInterval = setInterval(() => {
+                for (const session of this.sessions.values()) {
+                    session.applySchedule().catch(error => console.error(`[${session.id}] Schedule check failed:`, error));
+                }
+            }, 15000);
+
+            await this.checkTokenExpiry();
+            this.tokenCheckInterval = setInterval(() => this.checkTokenExpiry(), 60 * 60 * 1000);
         });
 
         this.discordClient.on('interactionCreate', async (interaction) => {
+            // Whisper Reply buttons live in DMs/the inbox channel, not on the control panel
+            if ((interaction.isButton() || interaction.isModalSubmit()) && this.inbox.isReplyInteraction(interaction)) {
+                try {
+                    if (!(await this.checkPermission(interaction, 'chat'))) return;
+
+                    if (interaction.isButton()) {
+                        await this.inbox.handleReplyButton(interaction);
+                    } else {
+                        await this.inbox.handleReplySubmit(interaction);
+                    }
+                } catch (error) {
+                    console.error('Error handling whisper reply:', error);
+                }
+                return;
+            }
+
             if (!interaction.isButton()) return;
-            if (interaction.message.id !== this.controlMessage?.id) return;
-
-            if (interaction.customId === 'connect') {
-                this.shouldJoin = true;
-                this.lastAuthUser = interaction.user;
-                this.authInteraction = interaction;
-                this.reconnectAttempts = 0;
-
-                const authEmbed = new EmbedBuilder()
-                    .setTitle('🔐 Microsoft Authentication Required')
-                    .setDescription('Please authenticate to connect the Minecraft bot.')
-                    .addFields(
-                        { name: '⏳ Status', value: 'Connecting to Minecraft server...', inline: false }
-                    )
-                    .setColor('#ff9900')
-                    .setTimestamp();
 
-                await interaction.reply({ 
-                    embeds: [authEmbed], 
+            // Safety alert buttons, usually pressed from a DM
+            if (interaction.customId.startsWith('alert:')) {
+                try {
+                    await this.handleAlertButton(interaction);
+                } catch (error) {
+                    console.error('Error handling safety alert button:', error);
+                }
+                return;
+            }
+
+            // Everything after the first ':' is the account id, which may contain ':' itself.
+            // Panels from before multi-account support are plain "connect"/"disconnect".
+            const separator = interaction.customId.indexOf(':');
+            const action = separator === -1 ? interaction.customId : interaction.customId.slice(0, separator);
+            const accountId = separator === -1 ? null : interaction.customId.slice(separator + 1);
+            if (!['connect', 'disconnect'].includes(action)) return;
+            const session = this.getSession(accountId);
+            if (!session || interaction.message.id !== session.controlMessage?.id) {
+                await interaction.reply({
+                    content: '🗑️ This control panel is out of date - use the current one in the control channel.',
                     flags: [MessageFlags.Ephemeral]
                 });
+                return;
+            }
+            if (!(await this.checkPermission(interaction, action))) return;
 
-                this.updateDiscordActivity('⏳ Starting connection...', require('discord.js').ActivityType.Watching);
+            if (action === 'connect') {
+                await this.connectFromButton(session, interaction);
 
-                await this.connectToMinecraft();
+            } else if (action === 'disconnect') {
+                await session.disconnect();
 
-            } else if (interaction.customId === 'disconnect') {
-                this.shouldJoin = false;
-                this.reconnectAttempts = 0;
-                this.authInteraction = null;
-                if (this.minecraftBot) {
-                    this.minecraftBot.quit();
-                    this.minecraftBot = null;
-                }
-                this.updateDiscordActivity('🔴 Standby', require('discord.js').ActivityType.Watching);
-                await this.updateEmbed();
-                
-                await interaction.reply({ 
-                    content: '✅ Bot disconnected from Minecraft server!', 
+                await interaction.reply({
+                    content: `✅ Bot \`${session.id}\` disconnected from Minecraft server!`,
                     flags: [MessageFlags.Ephemeral]
                 });
             }
         });
 
+        // Chat bridge: Discord -> Minecraft
+        this.discordClient.on('messageCreate', async (message) => {
+            try {
+                await this.chatBridge.handleDiscordMessage(message);
+            } catch (error) {
+                console.error('Error handling bridge message:', error);
+            }
+        });
+
         // Handle slash commands
         this.discordClient.on('interactionCreate', async (interaction) => {
             if (!interaction.isChatInputCommand()) return;
 
             // Check if command is used in the correct channel
             if (interaction.channelId !== CONFIG.discord.channelId) {
-                await interaction.reply({ 
-                    content: '❌ This bot can only be used in the designated channel!', 
+                await interaction.reply({
+                    content: '❌ This bot can only be used in the designated channel!',
                     flags: [MessageFlags.Ephemeral]
                 });
                 return;
             }
 
             try {
+                const permission = this.getCommandPermission(interaction);
+                if (permission && !(await this.checkPermission(interaction, permission))) return;
+
                 await this.handleSlashCommand(interaction);
             } catch (error) {
                 console.error('Error handling slash command:', error);
                 const errorMessage = 'There was an error while executing this command!';
-                
+
                 if (interaction.replied || interaction.deferred) {
                     await interaction.followUp({ content: errorMessage, flags: [MessageFlags.Ephemeral] });
                 } else {
@@ -393,616 +849,217 @@ class MinecraftDiscordBot {
         });
     }
 
-    async setupControlMessage() {
-        const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
-        if (!channel) {
-            console.error('Control channel not found!');
+    // Replies with the connecting/sign-in embed the session later edits with
+    // the device code, then starts the connection
+    async connectFromButton(session, interaction) {
+        if (session.isScheduledOffline()) {
+            await interaction.reply({
+                content: `🗓️ \`${session.id}\` is inside an offline window and joins as soon as it ends. Use \`/schedule\` to change the windows.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            await session.connect(interaction.user);
             return;
         }
 
-        const embed = this.createEmbed();
-        
-        const row = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('connect')
-                    .setLabel('Connect')
-                    .setEmoji('✅')
-                    .setStyle(ButtonStyle.Success),
-                new ButtonBuilder()
-                    .setCustomId('disconnect')
-                    .setLabel('Disconnect')
-                    .setEmoji('❌')
-                    .setStyle(ButtonStyle.Danger)
-            );
+        const authEmbed = CONFIG.minecraft.auth === 'offline'
+            ? new EmbedBuilder()
+                .setTitle(`🔌 Connecting — ${session.id}`)
+                .setDescription(`Joining \`${session.getServerAddress()}\` in offline mode as **${session.getLoginUsername()}**.`)
+                .setColor('#ff9900')
+                .setTimestamp()
+            : new EmbedBuilder()
+                .setTitle(`🔐 Microsoft Authentication Required — ${session.id}`)
+                .setDescription('Please authenticate to connect the Minecraft bot.')
+                .addFields(
+                    { name: '⏳ Status', value: 'Connecting to Minecraft server...', inline: false }
+                )
+                .setColor('#ff9900')
+                .setTimestamp();
 
-        this.controlMessage = await channel.send({ 
-            embeds: [embed],
-            components: [row]
+        await interaction.reply({
+            embeds: [authEmbed],
+            flags: [MessageFlags.Ephemeral]
         });
-    }
-
-    createEmbed() {
-        const statusColor = this.isConnected ? '#00ff00' : this.shouldJoin ? '#ff9900' : '#ff0000';
-        const embed = new EmbedBuilder()
-            .setTitle('🎮 Minecraft AFK Bot')
-            .setColor(statusColor)
-            .addFields(
-                { name: '🖥️ Server', value: `\`${CONFIG.minecraft.host}\``, inline: true },
-                { name: '🔗 Status', value: this.getStatusText(), inline: true },
-                { name: '🛡️ Safety', value: this.safetyConfig.enabled ? (this.isConnected ? '✅ Active' : '❌ Inactive') : '⏸️ Disabled', inline: true }
-            );
 
-        if (this.isConnected && this.minecraftBot) {
-            embed.addFields(
-                { name: '👤 Player', value: `\`${this.minecraftBot.username}\``, inline: true },
-                { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
-                { name: '❤️ Health', value: `\`${this.currentHealth}/20\``, inline: true },
-                { name: '📍 Position', value: `\`${Math.round(this.currentCoords.x)}, ${Math.round(this.currentCoords.y)}, ${Math.round(this.currentCoords.z)}\``, inline: false }
-            );
-        }
+        this.updateDiscordActivity('⏳ Starting connection...', require('discord.js').ActivityType.Watching);
 
-        if (this.reconnectAttempts > 0 && this.shouldJoin) {
-            embed.addFields({
-                name: '🔄 Reconnecting',
-                value: `${this.reconnectAttempts}/${this.maxReconnectAttempts}`,
-                inline: true
-            });
-        }
+        await session.connect(interaction.user, interaction);
+    }
 
-        embed.setTimestamp()
-            .setFooter({ text: 'Use buttons below to control the bot' });
+    async handleAlertButton(interaction) {
+        const [, action, target, ...accountParts] = interaction.customId.split(':');
+        const session = this.sessions.get(accountParts.join(':'));
 
-        if (this.authUrl && this.userCode) {
-            embed.addFields({
-                name: '🔑 Auth Required',
-                value: `[Click here](${this.authUrl}) | Code: \`${this.userCode}\``,
-                inline: false
-            });
+        if (!session) {
+            await interaction.reply({ content: '❌ That account no longer exists.', flags: [MessageFlags.Ephemeral] });
+            return;
         }
 
-        return embed;
-    }
+        const permission = { disconnect: 'disconnect', reconnect: 'connect' }[action] || 'safety';
+        if (!(await this.checkPermission(interaction, permission))) return;
 
-    getStatusText() {
-        if (this.authUrl && this.userCode) {
-            return '⏳ Waiting for Microsoft authentication...';
-        }
-        if (this.isConnected && this.minecraftBot) {
-            return `✅ Connected as ${this.minecraftBot.username}`;
-        }
-        if (this.shouldJoin && !this.isConnected) {
-            if (this.reconnectAttempts > 0) {
-                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
+        switch (action) {
+            case 'disconnect': {
+                const wasOnline = session.isConnected || session.isConnecting;
+                await session.disconnect();
+                await interaction.reply({
+                    content: wasOnline ? `✅ \`${session.id}\` disconnected.` : `ℹ️ \`${session.id}\` was already offline.`,
+                    flags: [MessageFlags.Ephemeral]
+                });
+                break;
             }
-            return '⏳ Connecting...';
-        }
-        return '❌ Disconnected';
-    }
+            case 'reconnect':
+                if (session.isConnected || session.isConnecting) {
+                    await interaction.reply({
+                        content: `ℹ️ \`${session.id}\` is already ${session.isConnected ? 'connected' : 'connecting'}.`,
+                        flags: [MessageFlags.Ephemeral]
+                    });
+                    return;
+                }
+                await this.connectFromButton(session, interaction);
+                break;
+            case 'trust': {
+                if (this.isTrusted(target)) {
+                    await interaction.reply({ content: `ℹ️ \`${target}\` is already trusted.`, flags: [MessageFlags.Ephemeral] });
+                    return;
+                }
 
-    updatePositionInfo() {
-        if (this.minecraftBot && this.minecraftBot.entity && this.minecraftBot.entity.position) {
-            this.currentCoords = {
-                x: this.minecraftBot.entity.position.x,
-                y: this.minecraftBot.entity.position.y,
-                z: this.minecraftBot.entity.position.z
-            };
+                const movedFrom = this.addPlayerToList(this.trustedPlayers, this.blockedPlayers, target);
+                await interaction.reply({
+                    content: `✅ \`${target}\` is now trusted${movedFrom ? ' (removed from the blocked list)' : ''}.`,
+                    flags: [MessageFlags.Ephemeral]
+                });
+                break;
+            }
+            case 'ignore':
+            case 'mute': {
+                const until = session.ignoreAlerts(`${action === 'ignore' ? 'player' : 'type'}:${target}`);
+                const subject = action === 'ignore'
+                    ? `\`${target}\``
+                    : (SAFETY_EVENT_TYPES[target]?.label.toLowerCase() || target) + ' alerts';
+                await interaction.reply({
+                    content: `🔕 Ignoring ${subject} on \`${session.id}\` until <t:${Math.floor(until / 1000)}:t>.`,
+                    flags: [MessageFlags.Ephemeral]
+                });
+                break;
+            }
+            default:
+                await interaction.reply({ content: 'Unknown action!', flags: [MessageFlags.Ephemeral] });
         }
     }
 
-    updateDiscordActivity(customStatus = null, activityType = 0) {
-        if (!this.discordClient || !this.discordClient.user) return;
-
-        try {
-            const { ActivityType } = require('discord.js');
-            let status = customStatus;
-            
-            if (!customStatus) {
-                if (this.isConnected && this.minecraftBot) {
-                    const safetyStatus = this.safetyConfig.enabled ? '🛡️' : '';
-                    status = `${safetyStatus} AFK on ${CONFIG.minecraft.host}`;
-                    activityType = ActivityType.Playing;
-                } else if (this.shouldJoin) {
-                    if (this.authUrl && this.userCode) {
-                        status = '🔐 Waiting for auth...';
-                        activityType = ActivityType.Watching;
-                    } else {
-                        status = '⏳ Connecting to server...';
-                        activityType = ActivityType.Watching;
-                    }
-                } else {
-                    status = '🔴 Standby';
-                    activityType = ActivityType.Watching;
-                }
-            }
-
-            this.discordClient.user.setActivity(status, { type: activityType });
-        } catch (error) {
-            console.error('Failed to update Discord activity:', error);
+    async setupControlMessages() {
+        const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
+        if (!channel) {
+            console.error('Control channel not found!');
+            return;
         }
-    }
 
-    // Safety Methods
-    async sendSafetyAlert(title, description, color = '#ff0000', isUrgent = false) {
-        try {
-            // Send DM to the user who logged in (reacted with ✅)
-            if (!this.lastAuthUser) {
-                console.log('No authenticated user to send safety alert to');
-                return;
-            }
-
-            const embed = new EmbedBuilder()
-                .setTitle(title)
-                .setDescription(description)
-                .setColor(color)
-                .addFields(
-                    { name: '📍 **Location**', value: `\`X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}\``, inline: true },
-                    { name: '🌍 **World**', value: `\`${this.currentWorld}\``, inline: true },
-                    { name: '❤️ **Health**', value: `\`${this.currentHealth}/20\``, inline: true },
-                    { name: '⏰ **Time**', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false }
-                )
-                .setTimestamp()
-                .setFooter({ text: 'AFK Bot Safety System' });
-
-            const messageContent = isUrgent ? '🚨 **URGENT SAFETY ALERT** 🚨' : '⚠️ **Safety Alert**';
-            
-            await this.lastAuthUser.send({ 
-                content: messageContent, 
-                embeds: [embed] 
-            });
-            
-        } catch (error) {
-            // Fallback to channel if DM fails
+        for (const session of this.sessions.values()) {
             try {
-                const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
-                if (channel) {
-                    await channel.send({ 
-                        content: `⚠️ Failed to DM ${this.lastAuthUser?.tag || 'user'} - Safety Alert: **${title}**\n${description}` 
-                    });
-                }
-            } catch (fallbackError) {
-                // Silent error
-            }
-        }
-    }
-
-    checkPlayerProximity() {
-        if (!this.safetyConfig.enabled || !this.minecraftBot || !this.minecraftBot.players) return;
-
-        const now = Date.now();
-        if (now - this.lastProximityAlert < this.safetyConfig.alertCooldown) return;
-
-        const myPos = this.minecraftBot.entity.position;
-        const nearbyPlayers = [];
-        const threats = [];
-
-        // Check if bot is in spawn area (X and Z between -100 and 100)
-        const isInSpawnArea = Math.abs(myPos.x) <= 100 && Math.abs(myPos.z) <= 100;
-
-        for (const [username, player] of Object.entries(this.minecraftBot.players)) {
-            if (!this.minecraftBot || username === this.minecraftBot.username) continue;
-            if (!player.entity || !player.entity.position) continue;
-
-            const distance = myPos.distanceTo(player.entity.position);
-            if (distance <= this.safetyConfig.proximityRadius) {
-                const playerInfo = { username, distance: Math.round(distance) };
-                nearbyPlayers.push(playerInfo);
-                
-                // Check if player is a threat (not trusted and within 50 blocks)
-                if (!this.trustedPlayers.has(username)) {
-                    threats.push(playerInfo);
-                }
-            }
-        }
-
-        if (threats.length > 0) {
-            // If in spawn area and spawn protection is enabled, silently skip disconnect (server restart protection)
-            if (this.safetyConfig.spawnProtection && isInSpawnArea) {
-                return;
-            }
-            
-            // Auto-disconnect immediately when untrusted players detected within 50 blocks
-            if (this.safetyConfig.autoDisconnectOnThreat) {
-                this.lastProximityAlert = now;
-                const threatList = threats.map(p => `${p.username} (${p.distance}m)`).join(', ');
-                this.sendSafetyAlert(
-                    '🚨 THREAT DETECTED - AUTO DISCONNECT',
-                    `**Untrusted player(s) detected within 50 blocks:**\n${threatList}\n\n**Action:** Bot automatically disconnected for safety!`,
-                    '#ff0000',
-                    true
-                );
-                setTimeout(() => {
-                    this.shouldJoin = false;
-                    if (this.minecraftBot) {
-                        this.minecraftBot.quit();
-                    }
-                }, 1000);
-                return;
-            }
-        }
-    }
-
-    async checkHealth() {
-        if (!this.safetyConfig.enabled || !this.minecraftBot || !this.minecraftBot.health) return;
-
-        this.lastHealth = this.currentHealth;
-        this.currentHealth = this.minecraftBot.health;
-
-        // Check for health decrease (taking damage)
-        if (this.currentHealth < this.lastHealth) {
-            const damage = this.lastHealth - this.currentHealth;
-            
-            // Auto-disconnect if health drops below critical threshold
-            if (this.currentHealth <= this.safetyConfig.autoDisconnectHealth) {
-                this.sendSafetyAlert(
-                    '🚨 CRITICAL HEALTH - AUTO DISCONNECT',
-                    `**You took ${damage} damage! Health: ${this.currentHealth}/20**\n\n**Action:** Bot automatically disconnected for safety!`,
-                    '#8B0000',
-                    true
-                );
-                setTimeout(() => {
-                    this.shouldJoin = false;
-                    if (this.minecraftBot) {
-                        this.minecraftBot.quit();
-                    }
-                }, 500);
-                return;
+                await session.setupControlMessage(channel);
+            } catch (error) {
+                console.error(`[${session.id}] Failed to set up the control panel:`, error);
             }
-            
-            this.sendSafetyAlert(
-                '🩸 Damage Taken',
-                `**You took ${damage} damage!**\nHealth decreased from ${this.lastHealth} to ${this.currentHealth}`,
-                '#ff0000',
-                true
-            );
-        }
-
-        // Check for low health warning
-        const now = Date.now();
-        if (this.currentHealth <= this.safetyConfig.minHealth && 
-            now - this.lastHealthAlert > this.safetyConfig.alertCooldown) {
-            
-            this.lastHealthAlert = now;
-            this.sendSafetyAlert(
-                '💀 Critical Health Alert',
-                `**DANGER: Health is critically low at ${this.currentHealth}/20!**\nConsider disconnecting immediately!`,
-                '#8B0000',
-                true
-            );
-        }
-    }
-
-    async attemptReconnect() {
-        if (!this.shouldJoin) {
-            return;
         }
 
-        if (this.isConnecting) {
-            return;
-        }
-
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            this.shouldJoin = false;
-            await this.updateEmbed();
-            return;
+        if (CONFIG.discord.cleanupStalePanels) {
+            await this.cleanupStalePanels(channel);
         }
-
-        this.reconnectAttempts++;
-
-        await this.updateEmbed();
-
-        // Add longer delay between reconnect attempts to avoid "already online" issues
-        const delay = this.reconnectDelay * this.reconnectAttempts; // Exponential backoff
-
-        setTimeout(async () => {
-            if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
-                await this.connectToMinecraft();
-            }
-        }, delay);
     }
 
-    async connectToMinecraft() {
-        if (this.isConnecting) {
-            return;
-        }
-
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
-        }
+    // Our own messages with Connect/Disconnect buttons that no session owns
+    async cleanupStalePanels(channel) {
+        const current = new Set([...this.sessions.values()].map(session => session.controlMessage?.id));
+        let removed = 0;
 
         try {
-            this.isConnecting = true;
-            await this.updateEmbed();
-
-            this.setupConsoleCapture();
-
-            this.minecraftBot = mineflayer.createBot({
-                host: CONFIG.minecraft.host,
-                port: CONFIG.minecraft.port,
-                version: CONFIG.minecraft.version,
-                auth: CONFIG.minecraft.auth
-            });
-
-            this.setupMinecraftEvents();
-
-            this.authCheckTimeout = setTimeout(() => {
-                // Silent auth check
-            }, 5000);
-
-        } catch (error) {
-            this.isConnecting = false;
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            } else {
-                await this.updateEmbed();
-            }
-        }
-    }
-
-    setupConsoleCapture() {
-        // Simplified console capture for auth detection only
-        if (!this.originalStderrWrite) {
-            this.originalStderrWrite = process.stderr.write;
-            process.stderr.write = (chunk, encoding, callback) => {
-                const message = chunk.toString();
-
-                // Only capture auth messages, suppress debug spam
-                if (message.includes('microsoft.com/link') && message.includes('use the code')) {
-                    this.extractAuthDetails(message);
-                } else if (message.includes('Chunk size') || message.includes('partial packet')) {
-                    // Suppress these debug messages completely
-                    return true;
-                }
-
-                return this.originalStderrWrite.call(process.stderr, chunk, encoding, callback);
-            };
-        }
-
-        if (!this.originalStdoutWrite) {
-            this.originalStdoutWrite = process.stdout.write;
-            process.stdout.write = (chunk, encoding, callback) => {
-                const message = chunk.toString();
-
-                // Only capture auth messages, suppress debug spam
-                if (message.includes('microsoft.com/link') && message.includes('use the code')) {
-                    this.extractAuthDetails(message);
-                } else if (message.includes('Chunk size') || message.includes('partial packet')) {
-                    // Suppress these debug messages completely
-                    return true;
-                }
-
-                return this.originalStdoutWrite.call(process.stdout, chunk, encoding, callback);
-            };
-        }
-    }
-
-    async forceCheckAuthCode() {
-        return;
-    }
+            const messages = await channel.messages.fetch({ limit: 100 });
+            for (const message of messages.values()) {
+                if (message.author.id !== this.discordClient.user.id || current.has(message.id)) continue;
 
-    setupMinecraftEvents() {
-        this.minecraftBot.on('login', async () => {
-            this.isConnected = true;
-            this.isConnecting = false;
-            this.authUrl = null;
-            this.userCode = null;
-            this.authMessageSent = false;
-            this.reconnectAttempts = 0;
+                const isPanel = message.components.some(row =>
+                    row.components?.some(component => /^(connect|disconnect)(:|$)/.test(component.customId || '')));
+                if (!isPanel) continue;
 
-            if (this.authInteraction) {
                 try {
-                    const successEmbed = new EmbedBuilder()
-                        .setTitle('✅ Authentication Successful')
-                        .setDescription(`Connected to Minecraft server as **${this.minecraftBot.username}**!`)
-                        .setColor('#00ff00')
-                        .setTimestamp();
-
-                    await this.authInteraction.editReply({ 
-                        embeds: [successEmbed]
-                    });
-                    
-                    this.authInteraction = null;
-                } catch (error) {
-                    // Silent error
-                }
-            }
-
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-            }
-
-            if (this.authCheckTimeout) {
-                clearTimeout(this.authCheckTimeout);
-            }
-            if (this.authCheckInterval) {
-                clearInterval(this.authCheckInterval);
-                this.authCheckInterval = null;
-            }
-
-            if (this.authMessage) {
-                try {
-                    await this.authMessage.delete();
-                    this.authMessage = null;
+                    await message.delete();
+                    removed++;
                 } catch (error) {
-                    // Silent error
-                }
-            }
-
-            this.updateDiscordActivity();
-            await this.updateEmbed();
-        });
-
-        this.minecraftBot.on('spawn', async () => {
-            this.updatePositionInfo();
-
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-            }
-
-            // Initialize health monitoring
-            this.currentHealth = this.minecraftBot.health || 20;
-            this.lastHealth = this.currentHealth;
-
-            this.updateDiscordActivity();
-
-            setTimeout(() => {
-                if (this.minecraftBot) {
-                    this.minecraftBot.chat('/tpa doggomc');
+                    // Already deleted
                 }
-            }, 5000);
-
-            await this.updateEmbed();
-        });
-
-        this.minecraftBot.on('move', () => {
-            this.updatePositionInfo();
-            // Check for nearby players when position updates
-            this.checkPlayerProximity();
-        });
-
-        this.minecraftBot.on('respawn', () => {
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-                this.updateEmbed();
             }
-        });
-
-        this.minecraftBot.on('end', async (reason) => {
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.minecraftBot = null;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
-
-            this.updateDiscordActivity();
-            await this.updateEmbed();
-
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            }
-        });
-
-        this.minecraftBot.on('error', async (error) => {
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
-
-            await this.updateEmbed();
-
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            }
-        });
-
-        this.minecraftBot.on('kicked', async (reason) => {
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.minecraftBot = null;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
-
-            await this.updateEmbed();
-
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            }
-        });
-
-
-        // Health monitoring events
-        this.minecraftBot.on('health', () => {
-            this.checkHealth();
-        });
-
-        // Player monitoring events
-        this.minecraftBot.on('playerJoined', (player) => {
-            setTimeout(() => this.checkPlayerProximity(), 1000);
-        });
+        } catch (error) {
+            console.error('Failed to clean up old control panels:', error.message);
+        }
 
-        this.minecraftBot.on('playerLeft', (player) => {
-            this.nearbyPlayers.delete(player.username);
-        });
+        if (removed > 0) {
+            console.log(`Removed ${removed} stale control panel(s)`);
+        }
+    }
 
-        // Entity movement monitoring for other players
-        this.minecraftBot.on('entityMoved', (entity) => {
-            // Check if it's another player entity
-            if (entity && entity.type === 'player' && entity.username !== this.minecraftBot.username) {
-                this.checkPlayerProximity();
-            }
-        });
+    // Background ping; the panels only need redrawing when the server goes
+    // up or down (connected ones are refreshed every 30s anyway)
+    async refreshServerStatus() {
+        const wasOnline = this.serverMonitor.status?.online;
+        const status = await this.serverMonitor.check();
+        if (status.online === wasOnline) return;
 
-        // Periodic safety checks every 10 seconds
-        setInterval(() => {
-            if (this.isConnected && this.safetyConfig.enabled) {
-                this.checkPlayerProximity();
-                this.checkHealth();
-            }
-        }, 10000);
+        console.log(`Minecraft server is ${status.online ? 'reachable again' : `unreachable: ${status.error}`}`);
+        for (const session of this.sessions.values()) {
+            await session.updateEmbed();
+        }
     }
 
-    async extractAuthDetails(message) {
-        const urlMatch = message.match(/https:\/\/[^\s]+/);
-        const codeMatch = message.match(/code ([A-Z0-9]+)/);
-
-        if (codeMatch && urlMatch && this.authInteraction) {
-            const authCode = codeMatch[1];
-            const baseUrl = urlMatch[0];
-            
-            // Include the OTP in the URL
-            const authUrlWithOtp = baseUrl.includes('?') 
-                ? `${baseUrl}&otc=${authCode}` 
-                : `${baseUrl}?otc=${authCode}`;
-            
-            this.authUrl = authUrlWithOtp;
-            this.userCode = authCode;
-
-            const updatedEmbed = new EmbedBuilder()
-                .setTitle('🔐 Microsoft Authentication Required')
-                .setDescription('Please authenticate to connect the Minecraft bot.')
-                .addFields(
-                    { name: '🔗 Authentication Link', value: `[Click here to authenticate](${authUrlWithOtp})`, inline: false },
-                    { name: '🔑 Code (if needed)', value: `\`${authCode}\``, inline: false },
-                    { name: '⏳ Status', value: 'Waiting for you to complete authentication...', inline: false }
-                )
-                .setColor('#ff9900')
-                .setTimestamp();
+    // Rejoins whatever was online when the process stopped, plus accounts
+    // that are inside one of their online windows and weren't disconnected by hand
+    async resumeSessions() {
+        for (const session of this.sessions.values()) {
+            const inOnlineWindow = this.schedule.hasOnlineWindows(session.id) && !session.isScheduledOffline() && !session.manualOffline;
+            if (!session.wasOnline() && !inOnlineWindow) continue;
 
+            console.log(`[${session.id}] ${session.wasOnline() ? 'Resuming the previous connection' : 'Joining for its online window'}`);
             try {
-                await this.authInteraction.editReply({ embeds: [updatedEmbed] });
-                await this.updateEmbed();
+                await session.connect();
             } catch (error) {
-                console.error('Failed to update auth message:', error);
+                console.error(`[${session.id}] Failed to resume:`, error);
             }
         }
     }
 
-    async updateEmbed() {
-        if (!this.controlMessage) return;
+    updateDiscordActivity(customStatus = null, activityType = 0) {
+        if (!this.discordClient || !this.discordClient.user) return;
 
         try {
-            const embed = this.createEmbed();
-            
-            const row = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('connect')
-                        .setLabel('Connect')
-                        .setEmoji('✅')
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId('disconnect')
-                        .setLabel('Disconnect')
-                        .setEmoji('❌')
-                        .setStyle(ButtonStyle.Danger)
-                );
-
-            await this.controlMessage.edit({ 
-                embeds: [embed],
-                components: [row]
-            });
+            const { ActivityType } = require('discord.js');
+            const sessions = [...this.sessions.values()];
+            let status = customStatus;
+
+            if (!customStatus) {
+                const connected = sessions.filter(s => s.isConnected && s.minecraftBot);
+
+                if (connected.length > 0) {
+                    const safetyStatus = connected.some(s => s.safetyConfig.enabled) ? '🛡️' : '';
+                    const accountCount = sessions.length > 1 ? ` (${connected.length}/${sessions.length})` : '';
+                    status = `${safetyStatus} AFK on ${CONFIG.minecraft.host}${accountCount}`;
+                    activityType = ActivityType.Playing;
+                } else if (sessions.some(s => s.shouldJoin)) {
+                    if (sessions.some(s => s.authUrl && s.userCode)) {
+                        status = '🔐 Waiting for auth...';
+                        activityType = ActivityType.Watching;
+                    } else {
+                        status = '⏳ Connecting to server...';
+                        activityType = ActivityType.Watching;
+                    }
+                } else {
+                    status = '🔴 Standby';
+                    activityType = ActivityType.Watching;
+                }
+            }
+
+            this.discordClient.user.setActivity(status, { type: activityType });
         } catch (error) {
-            console.error('Failed to update embed:', error);
+            console.error('Failed to update Discord activity:', error);
         }
     }
 
@@ -1030,6 +1087,242 @@ class MinecraftDiscordBot {
                 .setName('disconnect')
                 .setDescription('Disconnect the bot from the Minecraft server')
         ];
+
+        for (const command of this.commands) {
+            this.addAccountOption(command);
+        }
+
+        this.commands.push(
+            this.createPlayerListCommand('trust', 'trusted', 'Manage players that never trigger proximity alerts'),
+            this.createPlayerListCommand('block', 'blocked', 'Manage players that trigger an instant disconnect'),
+            this.createSafetyCommand(),
+            new SlashCommandBuilder()
+                .setName('auth')
+                .setDescription('Inspect or clear cached Microsoft sign-ins')
+                .addSubcommand(subcommand =>
+                    this.addAccountOption(subcommand.setName('status').setDescription('Show which account is cached and when its tokens expire'))
+                )
+                .addSubcommand(subcommand =>
+                    this.addAccountOption(subcommand.setName('logout').setDescription('Delete the cached sign-in so the next connect asks for a new code'))
+                ),
+            this.addAccountOption(
+                new SlashCommandBuilder()
+                    .setName('inbox')
+                    .setDescription('Search whispers received in-game')
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Only whispers with this player')
+                            .setRequired(false)
+                    )
+                    .addStringOption(option =>
+                        option.setName('search')
+                            .setDescription('Only messages containing this text')
+                            .setRequired(false)
+                    )
+            ),
+            new SlashCommandBuilder()
+                .setName('players')
+                .setDescription('See who comes near the AFK accounts')
+                .addSubcommand(subcommand =>
+                    this.addAccountOption(subcommand.setName('nearby').setDescription('Players within the proximity radius right now'))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('seen')
+                        .setDescription('Encounter stats for a player, or the most frequent visitors')
+                        .addStringOption(option =>
+                            option.setName('player')
+                                .setDescription('Minecraft username (leave empty for the top visitors)')
+                                .setRequired(false)
+                        )
+                ),
+            this.addAccountOption(
+                new SlashCommandBuilder()
+                    .setName('history')
+                    .setDescription('Show recorded safety events')
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('Only this kind of event')
+                            .setRequired(false)
+                            .addChoices(...Object.entries(SAFETY_EVENT_TYPES).map(([value, { label }]) => ({ name: label, value })))
+                    )
+                    .addStringOption(option =>
+                        option.setName('since')
+                            .setDescription('How far back to look, e.g. 30m, 24h, 7d')
+                            .setRequired(false)
+                    )
+            ),
+            new SlashCommandBuilder()
+                .setName('afk')
+                .setDescription('Keep the bot from being kicked for idling')
+                .addSubcommand(subcommand =>
+                    this.addAccountOption(
+                        subcommand.setName('mode')
+                            .setDescription('Pick the anti-AFK routine')
+                            .addStringOption(option =>
+                                option.setName('routine')
+                                    .setDescription('What the bot does every so often')
+                                    .setRequired(true)
+                                    .addChoices(...Object.entries(AFK_ROUTINES).map(([value, { label, description }]) => ({ name: `${label} - ${description}`, value })))
+                            )
+                    )
+                ),
+            this.createScheduleCommand(),
+            this.addAccountOption(
+                new SlashCommandBuilder()
+                    .setName('economy')
+                    .setDescription('Shards and money over time, with a chart')
+                    .addStringOption(option =>
+                        option.setName('range')
+                            .setDescription('How far back the chart goes (default 7 days)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: '24 hours', value: '24h' },
+                                { name: '7 days', value: '7d' },
+                                { name: '30 days', value: '30d' }
+                            )
+                    )
+                    .addBooleanOption(option =>
+                        option.setName('refresh')
+                            .setDescription('Ask the server for the current amounts first')
+                            .setRequired(false)
+                    )
+            )
+        );
+    }
+
+    createScheduleCommand() {
+        // Unlike addAccountOption, leaving the account out means every account
+        const addScheduleAccountOption = (subcommand, description) => subcommand.addStringOption(option => {
+            option.setName('account')
+                .setDescription(description)
+                .setRequired(false);
+            if (this.sessions.size <= 25) {
+                option.addChoices(...[...this.sessions.keys()].map(id => ({ name: id, value: id })));
+            }
+            return option;
+        });
+
+        return new SlashCommandBuilder()
+            .setName('schedule')
+            .setDescription('Daily windows when the bot should be online or offline (server time)')
+            .addSubcommand(subcommand =>
+                addScheduleAccountOption(
+                    subcommand.setName('add')
+                        .setDescription('Add a daily online or offline window')
+                        .addStringOption(option =>
+                            option.setName('mode')
+                                .setDescription('Online: only join inside these windows. Offline: stay away during it.')
+                                .setRequired(true)
+                                .addChoices(...Object.entries(SCHEDULE_MODES).map(([value, name]) => ({ name, value })))
+                        )
+                        .addStringOption(option =>
+                            option.setName('start')
+                                .setDescription('Start time, e.g. 22:00')
+                                .setRequired(true)
+                        )
+                        .addStringOption(option =>
+                            option.setName('end')
+                                .setDescription('End time, e.g. 08:00 (may be past midnight)')
+                                .setRequired(true)
+                        ),
+                    'Minecraft account (leave empty for all accounts)'
+                )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Remove a window')
+                    .addIntegerOption(option =>
+                        option.setName('id')
+                            .setDescription('Window number from /schedule list')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                addScheduleAccountOption(
+                    subcommand.setName('list').setDescription('Show the windows and whether each account may be online now'),
+                    'Only windows that apply to this account'
+                )
+            );
+    }
+
+    createSafetyCommand() {
+        return new SlashCommandBuilder()
+            .setName('safety')
+            .setDescription('View or change safety monitoring settings')
+            .addSubcommand(subcommand =>
+                this.addAccountOption(subcommand.setName('show').setDescription('Show the current safety settings'))
+            )
+            .addSubcommand(subcommand => {
+                subcommand.setName('set').setDescription('Change one or more safety settings');
+
+                for (const setting of SAFETY_SETTINGS) {
+                    const configure = (option) => {
+                        option.setName(setting.option)
+                            .setDescription(setting.description)
+                            .setRequired(false);
+                        if (setting.type !== 'boolean') {
+                            option.setMinValue(setting.min).setMaxValue(setting.max);
+                        }
+                        return option;
+                    };
+
+                    if (setting.type === 'boolean') {
+                        subcommand.addBooleanOption(configure);
+                    } else if (setting.type === 'integer') {
+                        subcommand.addIntegerOption(configure);
+                    } else {
+                        subcommand.addNumberOption(configure);
+                    }
+                }
+
+                return this.addAccountOption(subcommand);
+            })
+            .addSubcommand(subcommand =>
+                this.addAccountOption(subcommand.setName('reset').setDescription('Restore the default safety settings'))
+            );
+    }
+
+    createPlayerListCommand(name, listName, description) {
+        return new SlashCommandBuilder()
+            .setName(name)
+            .setDescription(description)
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription(`Add a player to the ${listName} list`)
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription(`Remove a player from the ${listName} list`)
+                    .addStringOption(option =>
+                        option.setName('player')
+                            .setDescription('Minecraft username')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription(`Show the ${listName} list`)
+            );
+    }
+
+    addAccountOption(command) {
+        return command.addStringOption(option => {
+            option.setName('account')
+                .setDescription('Minecraft account (defaults to the first configured account)')
+                .setRequired(false);
+
+            // Discord caps static choices at 25
+            if (this.sessions.size <= 25) {
+                option.addChoices(...[...this.sessions.keys()].map(id => ({ name: id, value: id })));
+            }
+            return option;
+        });
     }
 
     // ========================================================================
@@ -1069,6 +1362,36 @@ class MinecraftDiscordBot {
             case 'disconnect':
                 await this.handleDisconnectCommand(interaction);
                 break;
+            case 'trust':
+                await this.handlePlayerListCommand(interaction, this.trustedPlayers, this.blockedPlayers, 'trusted');
+                break;
+            case 'block':
+                await this.handlePlayerListCommand(interaction, this.blockedPlayers, this.trustedPlayers, 'blocked');
+                break;
+            case 'safety':
+                await this.handleSafetyCommand(interaction);
+                break;
+            case 'auth':
+                await this.handleAuthCommand(interaction);
+                break;
+            case 'inbox':
+                await this.handleInboxCommand(interaction);
+                break;
+            case 'history':
+                await this.handleHistoryCommand(interaction);
+                break;
+            case 'players':
+                await this.handlePlayersCommand(interaction);
+                break;
+            case 'afk':
+                await this.handleAfkCommand(interaction);
+                break;
+            case 'schedule':
+                await this.handleScheduleCommand(interaction);
+                break;
+            case 'economy':
+                await this.handleEconomyCommand(interaction);
+                break;
             default:
                 await interaction.reply({ content: 'Unknown command!', flags: [MessageFlags.Ephemeral] });
         }
@@ -1076,36 +1399,42 @@ class MinecraftDiscordBot {
 
     // Handle /message command
     async handleMessageCommand(interaction) {
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
         const message = interaction.options.getString('text');
 
-        if (!this.isConnected || !this.minecraftBot) {
-            await interaction.reply({ 
-                content: '❌ Bot is not connected to the Minecraft server!', 
-                flags: [MessageFlags.Ephemeral] 
+        if (!session.isConnected || !session.minecraftBot) {
+            await interaction.reply({
+                content: `❌ Bot \`${session.id}\` is not connected to the Minecraft server!`,
+                flags: [MessageFlags.Ephemeral]
             });
             return;
         }
 
         try {
-            this.minecraftBot.chat(message);
-            await interaction.reply({ 
-                content: `✅ Message sent: "${message}"`, 
-                flags: [MessageFlags.Ephemeral] 
+            session.minecraftBot.chat(message);
+            await interaction.reply({
+                content: `✅ Message sent as \`${session.id}\`: "${message}"`,
+                flags: [MessageFlags.Ephemeral]
             });
         } catch (error) {
-            await interaction.reply({ 
-                content: '❌ Failed to send message to Minecraft server!', 
-                flags: [MessageFlags.Ephemeral] 
+            await interaction.reply({
+                content: '❌ Failed to send message to Minecraft server!',
+                flags: [MessageFlags.Ephemeral]
             });
         }
     }
 
     // Handle /shards command
     async handleShardsCommand(interaction) {
-        if (!this.isConnected || !this.minecraftBot) {
-            await interaction.reply({ 
-                content: '❌ Bot is not connected to the Minecraft server!', 
-                flags: [MessageFlags.Ephemeral] 
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
+        if (!session.isConnected || !session.minecraftBot) {
+            await interaction.reply({
+                content: `❌ Bot \`${session.id}\` is not connected to the Minecraft server!`,
+                flags: [MessageFlags.Ephemeral]
             });
             return;
         }
@@ -1113,57 +1442,61 @@ class MinecraftDiscordBot {
         await interaction.deferReply();
 
         try {
-            // Set up message listener for shards response
-            const messageListener = (message) => {
-                const messageText = message.toString();
-                
-                // Look for shards information in the message
-                if (messageText.includes('shard') || messageText.includes('Shard')) {
-                    this.handleShardsResponse(interaction, messageText);
-                    this.minecraftBot.removeListener('message', messageListener);
-                }
-            };
-
-            // Add temporary message listener
-            this.minecraftBot.on('message', messageListener);
+            const { value } = await session.runQuery('shards');
+            const change = this.economy.getChange(session.id, 'shards', 24 * 60 * 60 * 1000);
 
-            // Send the /shards command
-            this.minecraftBot.chat('/shards');
-
-            // Remove listener after 10 seconds if no response
-            setTimeout(() => {
-                this.minecraftBot.removeListener('message', messageListener);
-                if (!interaction.replied) {
-                    interaction.editReply({
-                        content: '⏰ No response from server. The /shards command may not be available or took too long to respond.'
-                    });
-                }
-            }, 10000);
+            const embed = new EmbedBuilder()
+                .setTitle(`💎 Shard Balance — ${session.id}`)
+                .setDescription('Current shard balance on your account')
+                .addFields(
+                    { name: '💰 Available Shards', value: formatAmount(value), inline: true },
+                    { name: '📅 Last 24h', value: formatChange(change), inline: true }
+                )
+                .setColor('#9d4edd')
+                .setFooter({ text: 'History and charts: /economy' })
+                .setTimestamp();
 
+            await interaction.editReply({ embeds: [embed] });
         } catch (error) {
-            await interaction.editReply({ 
-                content: '❌ Failed to request shards information!' 
+            await interaction.editReply({
+                content: `⏰ ${error.message}. The /shards command may not be available on this server.`
             });
         }
     }
 
     // Handle /status command
     async handleStatusCommand(interaction) {
+        const accountId = interaction.options.getString('account');
+        const sessions = accountId ? [await this.getSessionForInteraction(interaction)] : [...this.sessions.values()];
+        if (!sessions[0]) return;
+
+        const anyConnected = sessions.some(s => s.isConnected);
         const embed = new EmbedBuilder()
             .setTitle('🤖 Bot Status')
-            .setColor(this.isConnected ? '#00ff00' : '#ff0000')
+            .setColor(anyConnected ? '#00ff00' : '#ff0000')
             .addFields(
-                { name: '🎮 Minecraft', value: this.isConnected ? '✅ Connected' : '❌ Disconnected', inline: true },
                 { name: '💬 Discord', value: '✅ Connected', inline: true },
-                { name: '🌐 Web Server', value: `✅ Running on port ${CONFIG.webServer.port}`, inline: true }
+                { name: '🌐 Web Server', value: `✅ Running on port ${CONFIG.webServer.port}`, inline: true },
+                {
+                    name: '📶 Minecraft Server',
+                    value: `\`${sessions[0].getServerAddress()}\`\n${formatServerStatus(this.serverMonitor.status)}` +
+                        (this.serverMonitor.status ? `\nChecked <t:${Math.floor(this.serverMonitor.status.checkedAt / 1000)}:R>` : ''),
+                    inline: false
+                }
             );
 
-        if (this.isConnected && this.minecraftBot) {
-            embed.addFields(
-                { name: '👤 Username', value: this.minecraftBot.username || 'Unknown', inline: true },
-                { name: '🌍 World', value: this.currentWorld, inline: true },
-                { name: '📍 Position', value: `X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}`, inline: true }
-            );
+        for (const session of sessions) {
+            let value = session.isConnected ? '✅ Connected' : '❌ Disconnected';
+
+            if (session.isConnected && session.minecraftBot) {
+                value += `\n👤 ${session.minecraftBot.username || 'Unknown'}` +
+                    `\n🌍 ${session.currentWorld}` +
+                    `\n📍 X: ${Math.round(session.currentCoords.x)}, Y: ${Math.round(session.currentCoords.y)}, Z: ${Math.round(session.currentCoords.z)}`;
+            }
+
+            value += `\n🛡️ ${session.getSafetySummary().replace('\n', ' · ')}`;
+
+            embed.addFields({ name: `🎮 ${session.id}`, value, inline: false });
         }
 
         embed.setTimestamp();
@@ -1172,130 +1505,533 @@ class MinecraftDiscordBot {
 
     // Handle /connect command
     async handleConnectCommand(interaction) {
-        if (this.isConnected) {
-            await interaction.reply({ 
-                content: '✅ Bot is already connected to the Minecraft server!', 
-                flags: [MessageFlags.Ephemeral] 
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
+        if (session.isConnected) {
+            await interaction.reply({
+                content: `✅ Bot \`${session.id}\` is already connected to the Minecraft server!`,
+                flags: [MessageFlags.Ephemeral]
             });
             return;
         }
 
-        this.shouldJoin = true;
-        this.reconnectAttempts = 0;
-        await this.connectToMinecraft();
-        
-        await interaction.reply({ 
-            content: '🔄 Attempting to connect to the Minecraft server...', 
-            flags: [MessageFlags.Ephemeral] 
+        // Reply first: connecting pings the server, which can outlast the interaction deadline
+        await interaction.reply({
+            content: session.isScheduledOffline()
+                ? `🗓️ \`${session.id}\` is inside an offline window and joins as soon as it ends.`
+                : `🔄 Attempting to connect \`${session.id}\` to the Minecraft server...`,
+            flags: [MessageFlags.Ephemeral]
         });
+
+        await session.connect(interaction.user);
     }
 
     // Handle /disconnect command
     async handleDisconnectCommand(interaction) {
-        if (!this.isConnected) {
-            await interaction.reply({ 
-                content: '❌ Bot is not connected to the Minecraft server!', 
-                flags: [MessageFlags.Ephemeral] 
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
+        if (!session.isConnected) {
+            await interaction.reply({
+                content: `❌ Bot \`${session.id}\` is not connected to the Minecraft server!`,
+                flags: [MessageFlags.Ephemeral]
             });
             return;
         }
 
-        this.shouldJoin = false;
-        this.reconnectAttempts = 0;
-        
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
-            this.minecraftBot = null;
-        }
-        
-        await this.updateEmbed();
-        await interaction.reply({ 
-            content: '✅ Bot disconnected from the Minecraft server!', 
-            flags: [MessageFlags.Ephemeral] 
+        await session.disconnect();
+        await interaction.reply({
+            content: `✅ Bot \`${session.id}\` disconnected from the Minecraft server!`,
+            flags: [MessageFlags.Ephemeral]
         });
     }
 
-    // Handle shards response from Minecraft
-    async handleShardsResponse(interaction, messageText) {
-        try {
-            
-            // Parse the message to extract shard information
-            let shardsInfo = 'Unknown';
-            
-            // Look for various patterns that might indicate shard count
-            const patterns = [
-                /shards?[:\s]+([0-9,]+)/i,
-                /([0-9,]+)\s+shards?/i,
-                /balance[:\s]+([0-9,]+)/i,
-                /you\s+have[:\s]+([0-9,]+)/i
-            ];
-            
-            for (const pattern of patterns) {
-                const match = messageText.match(pattern);
-                if (match) {
-                    shardsInfo = match[1];
-                    break;
+    // Handle /safety command
+    async handleSafetyCommand(interaction) {
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'set') {
+            const changes = {};
+            for (const setting of SAFETY_SETTINGS) {
+                const value = setting.type === 'boolean'
+                    ? interaction.options.getBoolean(setting.option)
+                    : setting.type === 'integer'
+                        ? interaction.options.getInteger(setting.option)
+                        : interaction.options.getNumber(setting.option);
+
+                if (value !== null) {
+                    changes[setting.key] = setting.type === 'boolean' ? value : value * (setting.scale || 1);
                 }
             }
-            
-            // Create embed with shard information
-            const embed = new EmbedBuilder()
-                .setTitle('💎 Shard Balance')
-                .setColor('#9d4edd')
-                .setTimestamp();
-            
-            if (shardsInfo !== 'Unknown') {
-                embed.addFields({
-                    name: '💰 Available Shards',
-                    value: shardsInfo,
-                    inline: true
+
+            if (Object.keys(changes).length === 0) {
+                await interaction.reply({
+                    content: '❌ Provide at least one setting to change!',
+                    flags: [MessageFlags.Ephemeral]
                 });
-                embed.setDescription('Current shard balance on your account');
-            } else {
-                embed.setDescription('Shard information received but could not parse the amount.');
-                embed.addFields({
-                    name: '📋 Raw Response',
-                    value: messageText.substring(0, 1000), // Limit length
-                    inline: false
+                return;
+            }
+
+            const errors = await session.updateSafetyConfig(changes);
+            if (errors.length > 0) {
+                await interaction.reply({
+                    content: `❌ Safety settings not changed:\n${errors.map(e => `• ${e}`).join('\n')}`,
+                    flags: [MessageFlags.Ephemeral]
                 });
+                return;
             }
-            
-            if (!interaction.replied) {
-                const reply = await interaction.editReply({ embeds: [embed] });
-                
-                // Delete the message after 10 seconds
-                setTimeout(async () => {
-                    try {
-                        await reply.delete();
-                    } catch (error) {
-                        // Silent error
-                    }
-                }, 10000);
+        } else if (subcommand === 'reset') {
+            await session.resetSafetyConfig();
+        }
+
+        const titles = { show: '🛡️ Safety Settings', set: '✅ Safety Settings Updated', reset: '♻️ Safety Settings Reset' };
+        const embed = new EmbedBuilder()
+            .setTitle(`${titles[subcommand]} — ${session.id}`)
+            .setColor(session.safetyConfig.enabled ? '#00ff00' : '#808080')
+            .addFields(SAFETY_SETTINGS.map(setting => ({
+                name: setting.label,
+                value: formatSafetyValue(setting, session.safetyConfig[setting.key]),
+                inline: true
+            })))
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    // Handle /auth command
+    async handleAuthCommand(interaction) {
+        const accountId = interaction.options.getString('account');
+        const subcommand = interaction.options.getSubcommand();
+
+        if (CONFIG.minecraft.auth !== 'microsoft') {
+            await interaction.reply({
+                content: `ℹ️ The \`${CONFIG.profile}\` profile uses ${CONFIG.minecraft.auth} auth - there are no cached Microsoft tokens.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        if (subcommand === 'logout') {
+            const session = await this.getSessionForInteraction(interaction);
+            if (!session) return;
+
+            const removed = this.tokenCache.clear(session.getLoginUsername());
+            this.tokenWarnings.delete(session.id);
+
+            const data = this.authStore.load();
+            delete data[session.id];
+            this.authStore.save(data);
+
+            await interaction.reply({
+                content: removed > 0
+                    ? `✅ Cleared the cached sign-in for \`${session.id}\`. ${session.isConnected ? 'The current connection stays up; the next connect will ask for a new code.' : 'The next connect will ask for a new code.'}`
+                    : `ℹ️ \`${session.id}\` had no cached sign-in.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const sessions = accountId ? [await this.getSessionForInteraction(interaction)] : [...this.sessions.values()];
+        if (!sessions[0]) return;
+
+        const formatTime = (timestamp) => timestamp ? `<t:${Math.floor(timestamp / 1000)}:R>` : 'Unknown';
+        const embed = new EmbedBuilder()
+            .setTitle('🔑 Microsoft Sign-in Cache')
+            .setColor('#5865f2')
+            .setFooter({ text: CONFIG.auth.profilesFolder })
+            .setTimestamp();
+
+        for (const session of sessions) {
+            const status = this.getAuthStatus(session);
+            const value = status.cached
+                ? [
+                    `👤 Profile: ${status.profileName ? `\`${status.profileName}\`` : 'Unknown'}`,
+                    `🎫 Minecraft token expires: ${formatTime(status.minecraftTokenExpiresAt)}`,
+                    `🔄 Sign-in renewed: ${formatTime(status.refreshTokenRenewedAt)}`,
+                    `⚠️ New sign-in needed: ${formatTime(status.reauthRequiredAt)}`
+                ].join('\n')
+                : '❌ Not cached - the next connect will ask for a device code';
+
+            embed.addFields({ name: `🎮 ${session.id}`, value, inline: false });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleInboxCommand(interaction) {
+        // Without an account, search every account's whispers
+        const accountId = interaction.options.getString('account');
+        const session = accountId ? await this.getSessionForInteraction(interaction) : null;
+        if (accountId && !session) return;
+
+        const embed = this.inbox.createInboxEmbed({
+            account: session?.id,
+            player: interaction.options.getString('player'),
+            text: interaction.options.getString('search')
+        });
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handlePlayersCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const listTag = (player) => player.blocked ? ' ⛔' : player.trusted ? ' 🤝' : '';
+
+        if (subcommand === 'nearby') {
+            const accountId = interaction.options.getString('account');
+            const sessions = accountId ? [await this.getSessionForInteraction(interaction)] : [...this.sessions.values()];
+            if (!sessions[0]) return;
+
+            const embed = new EmbedBuilder()
+                .setTitle('👥 Nearby Players')
+                .setColor('#5865f2')
+                .setTimestamp();
+
+            for (const session of sessions) {
+                const players = this.getNearbyPlayers(session);
+                const value = !session.isConnected
+                    ? '🔴 Not connected'
+                    : players.length === 0
+                        ? `Nobody within ${session.safetyConfig.proximityRadius} blocks`
+                        : players.map(p => `**${p.username}**${listTag(p)} — ${p.distance}m (closest ${p.closestDistance}m) for ${formatDuration(p.inRangeFor)}`).join('\n');
+
+                embed.addFields({ name: `🎮 ${session.id}`, value: value.substring(0, 1024), inline: false });
             }
-            
-        } catch (error) {
-            if (!interaction.replied) {
-                await interaction.editReply({
-                    content: '❌ Error processing shards response!'
-                });
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const playerName = interaction.options.getString('player');
+        if (!playerName) {
+            const top = this.playerTracker.list()
+                .map(stats => this.getPlayerStats(stats.username))
+                .sort((a, b) => b.encounters - a.encounters || b.lastSeen - a.lastSeen)
+                .slice(0, 15);
+
+            const embed = new EmbedBuilder()
+                .setTitle('🔭 Most Frequent Visitors')
+                .setDescription(top.length > 0
+                    ? top.map((p, i) => `${i + 1}. **${p.username}**${listTag(p)} — ${p.encounters} encounter(s), ${formatDuration(p.timeInRange)} in range, last seen <t:${Math.floor(p.lastSeen / 1000)}:R>`).join('\n')
+                    : 'No players have been seen yet.')
+                .setColor('#5865f2')
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        if (!PLAYER_NAME_PATTERN.test(playerName)) {
+            await interaction.reply({
+                content: `❌ \`${playerName}\` is not a valid Minecraft username!`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const stats = this.getPlayerStats(playerName);
+        if (!stats) {
+            await interaction.reply({
+                content: `ℹ️ **${playerName}** has never come within range.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🔭 ${stats.username}${listTag(stats)}`)
+            .addFields(
+                { name: '👁️ **First seen**', value: `<t:${Math.floor(stats.firstSeen / 1000)}:f>`, inline: true },
+                { name: '🕒 **Last seen**', value: `<t:${Math.floor(stats.lastSeen / 1000)}:R>${stats.lastAccount ? ` by \`${stats.lastAccount}\`` : ''}`, inline: true },
+                { name: '🔁 **Encounters**', value: `${stats.encounters}`, inline: true },
+                { name: '📏 **Closest approach**', value: `${stats.closestDistance}m`, inline: true },
+                { name: '⏱️ **Time in range**', value: formatDuration(stats.timeInRange), inline: true },
+                { name: '📍 **Nearby now**', value: stats.nearNow.length > 0 ? stats.nearNow.map(n => `\`${n.account}\` (${n.distance}m)`).join(', ') : 'No', inline: true }
+            )
+            .setColor(stats.blocked ? '#ff0000' : stats.trusted ? '#00ff00' : '#ff9900')
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleAfkCommand(interaction) {
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
+        const routine = interaction.options.getString('routine');
+        session.setAfkRoutine(routine);
+        await session.updateEmbed();
+
+        const { label, description } = AFK_ROUTINES[routine];
+        const when = routine === 'off'
+            ? ''
+            : session.isConnected
+                ? ' Running now.'
+                : ' It starts once the bot is in-game.';
+        await interaction.reply({
+            content: `🕹️ Anti-AFK for \`${session.id}\`: **${label}** (${description.toLowerCase()}).${when}`,
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    async handleScheduleCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const accountId = interaction.options.getString('account');
+        if (accountId && !this.sessions.has(accountId)) {
+            await interaction.reply({ content: `❌ Unknown account: \`${accountId}\``, flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        if (subcommand === 'list') {
+            const entries = this.schedule.list(accountId);
+            const sessions = accountId ? [this.sessions.get(accountId)] : [...this.sessions.values()];
+            const now = sessions.map(session => {
+                if (session.manualOffline && !session.shouldJoin) return `\`${session.id}\`: ⏸️ disconnected by hand - windows apply again after the next connect`;
+                if (!session.isScheduledOffline()) return `\`${session.id}\`: 🟢 may be online`;
+                const resumeAt = this.schedule.getResumeTime(session.id);
+                return `\`${session.id}\`: 🔴 offline${resumeAt ? ` until <t:${Math.floor(resumeAt.getTime() / 1000)}:t>` : ''}`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setTitle('🗓️ Schedule')
+                .setDescription(entries.length > 0
+                    ? entries.map(entry => this.schedule.describe(entry)).join('\n')
+                    : 'No windows - accounts stay online whenever they are connected.')
+                .addFields({ name: '🕒 Right now', value: now.join('\n').substring(0, 1024), inline: false })
+                .setColor('#0099ff')
+                .setFooter({ text: `Times are the bot host's local time (${Intl.DateTimeFormat().resolvedOptions().timeZone})` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        let message;
+        if (subcommand === 'add') {
+            const { entry, error } = this.schedule.add({
+                account: accountId,
+                mode: interaction.options.getString('mode'),
+                start: interaction.options.getString('start'),
+                end: interaction.options.getString('end')
+            });
+            if (error) {
+                await interaction.reply({ content: `❌ ${error}.`, flags: [MessageFlags.Ephemeral] });
+                return;
             }
+            message = `✅ Added ${this.schedule.describe(entry)}`;
+        } else {
+            const entry = this.schedule.remove(interaction.options.getInteger('id'));
+            if (!entry) {
+                await interaction.reply({ content: '❌ No window with that number - see `/schedule list`.', flags: [MessageFlags.Ephemeral] });
+                return;
+            }
+            message = `🗑️ Removed ${this.schedule.describe(entry)}`;
+        }
+
+        await interaction.reply({ content: message, flags: [MessageFlags.Ephemeral] });
+
+        // Takes effect right away rather than on the next check
+        for (const session of this.sessions.values()) {
+            await session.applySchedule();
         }
     }
 
+    async handleEconomyCommand(interaction) {
+        const session = await this.getSessionForInteraction(interaction);
+        if (!session) return;
+
+        const refresh = interaction.options.getBoolean('refresh');
+        if (refresh && !session.isConnected) {
+            await interaction.reply({
+                content: `❌ Bot \`${session.id}\` has to be connected to refresh - leave \`refresh\` off to see the recorded history.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        // Queries wait on the server and the chart takes a moment to draw
+        await interaction.deferReply();
+
+        const failures = [];
+        if (refresh) {
+            const results = await session.trackEconomy();
+            for (const [name, result] of Object.entries(results)) {
+                if (result.error) failures.push(`${CONFIG.economy.queries[name].label}: ${result.error}`);
+            }
+        }
+
+        const range = interaction.options.getString('range') || '7d';
+        const since = Date.now() - parseDuration(range);
+        const embed = new EmbedBuilder()
+            .setTitle(`📈 Economy — ${session.id}`)
+            .setColor('#9d4edd')
+            .setTimestamp();
+
+        const charted = [];
+        for (const [name, query] of Object.entries(CONFIG.economy.queries)) {
+            const latest = this.economy.getLatest(session.id, name);
+            if (!latest) continue;
+
+            embed.addFields({
+                name: `${query.emoji} ${query.label}`,
+                value: [
+                    `**${formatAmount(latest.value)}**`,
+                    `24h: ${formatChange(this.economy.getChange(session.id, name, parseDuration('24h')))}`,
+                    `7d: ${formatChange(this.economy.getChange(session.id, name, parseDuration('7d')))}`,
+                    `Updated <t:${Math.floor(latest.at / 1000)}:R>`
+                ].join('\n'),
+                inline: true
+            });
+
+            const points = this.economy.getSeries(session.id, name, since);
+            if (points.length > 0) {
+                charted.push({ query, points });
+            }
+        }
+
+        if (failures.length > 0) {
+            embed.addFields({ name: '⚠️ Refresh failed', value: failures.join('\n').substring(0, 1024), inline: false });
+        }
+
+        const files = [];
+        if (charted.length > 0) {
+            const png = renderLineChart(charted.map(({ query, points }) => ({ color: query.color, points })), { since });
+            files.push(new AttachmentBuilder(png, { name: 'economy.png' }));
+            embed.setImage('attachment://economy.png')
+                .setFooter({ text: `Last ${range}, top to bottom: ${charted.map(({ query }) => query.label).join(', ')}` });
+        } else {
+            const every = CONFIG.economy.interval > 0 ? ` It is recorded every ${formatDuration(CONFIG.economy.interval)} while connected.` : '';
+            embed.setDescription(`Nothing recorded in the last ${range}.${every} Use \`refresh\` to check now.`);
+        }
+
+        await interaction.editReply({ embeds: [embed], files });
+    }
+
+    async handleHistoryCommand(interaction) {
+        const accountId = interaction.options.getString('account');
+        const session = accountId ? await this.getSessionForInteraction(interaction) : null;
+        if (accountId && !session) return;
+
+        const type = interaction.options.getString('type');
+        const since = interaction.options.getString('since');
+        const sinceMs = since ? parseDuration(since) : null;
+        if (since && sinceMs === null) {
+            await interaction.reply({
+                content: '❌ `since` must look like `30m`, `24h` or `7d`.',
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const events = this.safetyLog.query({ type, account: session?.id, since: sinceMs ? Date.now() - sinceMs : null });
+        const shown = events.slice(-15).reverse();
+
+        const lines = shown.map(event => {
+            const info = SAFETY_EVENT_TYPES[event.type] || { label: event.type, emoji: '❔' };
+            const players = formatEventPlayers(event);
+            return [
+                `${info.emoji} <t:${Math.floor(event.timestamp / 1000)}:f> **${info.label}** — \`${event.account}\``,
+                `↳ ${SAFETY_EVENT_ACTIONS[event.action] || event.action}` +
+                    `${players ? ` • ${players}` : ''}${event.details ? ` • ${event.details}` : ''}` +
+                    ` • ❤️ ${event.health}/20 • 📍 ${event.coords.x}, ${event.coords.y}, ${event.coords.z} (${event.world})`
+            ].join('\n');
+        });
+
+        let description = lines.length > 0 ? lines.join('\n') : 'No safety events recorded.';
+        if (description.length > 4000) {
+            description = `${description.substring(0, 4000)}…`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('📜 Safety History')
+            .setDescription(description)
+            .setColor('#ff9900')
+            .setFooter({ text: `Showing ${shown.length} of ${events.length} • Full export: GET /history?format=csv` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    // Handle /trust and /block commands (a player can only be on one list)
+    async handlePlayerListCommand(interaction, list, otherList, listName) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const names = [...list].sort((a, b) => a.localeCompare(b));
+            const embed = new EmbedBuilder()
+                .setTitle(listName === 'trusted' ? '🤝 Trusted Players' : '⛔ Blocked Players')
+                .setColor(listName === 'trusted' ? '#00ff00' : '#ff0000')
+                .setDescription(names.length > 0 ? names.map(n => `\`${n}\``).join(', ').substring(0, 4000) : '*No players*')
+                .setFooter({ text: `${names.length} player(s)` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const player = interaction.options.getString('player').trim();
+        if (!PLAYER_NAME_PATTERN.test(player)) {
+            await interaction.reply({
+                content: `❌ \`${player}\` is not a valid Minecraft username!`,
+                flags: [MessageFlags.Ephemeral]
+            });
+            return;
+        }
+
+        const existing = this.findPlayerInList(list, player);
+
+        if (subcommand === 'add') {
+            if (existing) {
+                await interaction.reply({ content: `ℹ️ \`${existing}\` is already ${listName}.`, flags: [MessageFlags.Ephemeral] });
+                return;
+            }
+
+            const movedFrom = this.addPlayerToList(list, otherList, player);
+
+            await interaction.reply({
+                content: `✅ \`${player}\` is now ${listName}${movedFrom ? ` (removed from the ${listName === 'trusted' ? 'blocked' : 'trusted'} list)` : ''}.`,
+                flags: [MessageFlags.Ephemeral]
+            });
+        } else if (subcommand === 'remove') {
+            if (!existing) {
+                await interaction.reply({ content: `❌ \`${player}\` is not ${listName}.`, flags: [MessageFlags.Ephemeral] });
+                return;
+            }
+
+            list.delete(existing);
+            this.savePlayerLists();
+
+            await interaction.reply({ content: `✅ \`${existing}\` is no longer ${listName}.`, flags: [MessageFlags.Ephemeral] });
+        }
+    }
+
+
     // Graceful shutdown method
     async shutdown() {
         // Clear intervals
         if (this.statusUpdateInterval) {
             clearInterval(this.statusUpdateInterval);
         }
-        if (this.authCheckInterval) {
-            clearInterval(this.authCheckInterval);
+        if (this.tokenCheckInterval) {
+            clearInterval(this.tokenCheckInterval);
+        }
+        if (this.scheduleCheckInterval) {
+            clearInterval(this.scheduleCheckInterval);
+        }
+        if (this.serverPingInterval) {
+            clearInterval(this.serverPingInterval);
         }
 
-        // Close Minecraft connection
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
+        // Close Minecraft connections
+        for (const session of this.sessions.values()) {
+            session.shutdown();
         }
+        this.chatBridge.shutdown();
+        this.playerTracker.save();
 
         // Close Discord connection
         if (this.discordClient) {
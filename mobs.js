@@ -0,0 +1,49 @@
+// ============================================================================
+// HOSTILE MOBS
+// ============================================================================
+
+// In minecraft-data's "Hostile mobs" category but harmless unless provoked,
+// or not really a mob at all
+const NOT_HOSTILE = ['enderman', 'zombified_piglin', 'skeleton_horse', 'zombie_horse', 'evoker_fangs'];
+
+const ATTACK_REACH = 3; // blocks
+
+function isHostileMob(entity) {
+    return entity.kind === 'Hostile mobs' && !NOT_HOSTILE.includes(entity.name);
+}
+
+// Hostile mobs within `radius` blocks, closest first
+function findHostileMobs(bot, radius) {
+    const myPos = bot.entity.position;
+    const mobs = [];
+
+    for (const entity of Object.values(bot.entities)) {
+        if (!entity.position || !isHostileMob(entity)) continue;
+
+        const distance = myPos.distanceTo(entity.position);
+        if (distance <= radius) {
+            mobs.push({ name: entity.name, displayName: entity.displayName || entity.name, distance: Math.round(distance), exactDistance: distance, entity });
+        }
+    }
+
+    return mobs.sort((a, b) => a.exactDistance - b.exactDistance);
+}
+
+// "2x Zombie (3m), Creeper (5m)" - grouped by type, each with its closest distance
+function describeMobs(mobs) {
+    const groups = new Map();
+    for (const mob of mobs) {
+        const group = groups.get(mob.displayName);
+        if (group) {
+            group.count++;
+        } else {
+            groups.set(mob.displayName, { count: 1, distance: mob.distance });
+        }
+    }
+
+    return [...groups.entries()]
+        .map(([name, { count, distance }]) => `${count > 1 ? `${count}x ` : ''}${name} (${distance}m)`)
+        .join(', ');
+}
+
+module.exports = { ATTACK_REACH, isHostileMob, findHostileMobs, describeMobs };
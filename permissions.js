@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+const PERMISSION_ACTIONS = {
+    connect: 'connect accounts',
+    disconnect: 'disconnect accounts',
+    chat: 'send in-game messages',
+    safety: 'change safety settings'
+};
+
+// Discord allowlists per action. An action without its own users/roles uses
+// the "default" rule; with no rule at all the action stays open to everyone in
+// the control channel.
+class PermissionManager {
+    constructor(config) {
+        this.config = config;
+    }
+
+    getRule(action) {
+        const rule = this.config[action];
+        if (rule && (rule.userIds.length > 0 || rule.roleIds.length > 0)) {
+            return rule;
+        }
+        return this.config.default;
+    }
+
+    isRestricted(action) {
+        const rule = this.getRule(action);
+        return rule.userIds.length > 0 || rule.roleIds.length > 0;
+    }
+
+    // `member` may be a cached GuildMember or the raw API member (roles as ids)
+    getRoleIds(member) {
+        const roles = member?.roles;
+        if (Array.isArray(roles)) return roles;
+        return roles?.cache ? [...roles.cache.keys()] : [];
+    }
+
+    isAllowed(action, user, member) {
+        if (!this.isRestricted(action)) return true;
+
+        const rule = this.getRule(action);
+        if (rule.userIds.includes(user.id)) return true;
+
+        const roleIds = this.getRoleIds(member);
+        return rule.roleIds.some(roleId => roleIds.includes(roleId));
+    }
+
+    describe(action) {
+        return PERMISSION_ACTIONS[action] || action;
+    }
+}
+
+// ============================================================================
+// WEB API KEY
+// ============================================================================
+
+function getRequestApiKey(req) {
+    const header = req.get('authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+function isValidApiKey(provided, expected) {
+    if (!provided || !expected) return false;
+
+    // Compare digests so the check takes the same time whatever the input length
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// Express middleware for the control routes. Without a configured key they are
+// switched off rather than left open.
+function requireApiKey(apiKey) {
+    return (req, res, next) => {
+        if (!apiKey) {
+            return res.status(403).json({ success: false, message: 'Control endpoints are disabled - set API_KEY to enable them' });
+        }
+        if (!isValidApiKey(getRequestApiKey(req), apiKey)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ success: false, message: 'Missing or invalid API key' });
+        }
+        next();
+    };
+}
+
+module.exports = { PERMISSION_ACTIONS, PermissionManager, requireApiKey };
@@ -0,0 +1,87 @@
+const { ping } = require('minecraft-protocol');
+const { stripFormatting } = require('./chat');
+const { componentToText } = require('./reconnect');
+
+// ============================================================================
+// SERVER LIST PING
+// ============================================================================
+
+const DEFAULT_STATUS_PING_CONFIG = {
+    interval: 60000, // ms between background pings (0 = only before connecting)
+    timeout: 5000, // ms before a ping counts as unreachable
+    retryInterval: 15000 // ms between pings while waiting for an unreachable server
+};
+
+// The same request the multiplayer screen makes. Never throws: an unreachable
+// server resolves to { online: false, error }.
+async function pingServer({ host, port, version }, timeout = 5000) {
+    const startedAt = Date.now();
+
+    try {
+        const response = await ping({ host, port, version: version || undefined, closeTimeout: timeout, noPongTimeout: timeout });
+        return {
+            online: true,
+            latency: response.latency ?? Date.now() - startedAt,
+            version: response.version?.name || null,
+            players: { online: response.players?.online ?? 0, max: response.players?.max ?? 0 },
+            motd: stripFormatting(componentToText(response.description)).replace(/[ \t]+/g, ' ').trim(),
+            checkedAt: Date.now()
+        };
+    } catch (error) {
+        return { online: false, error: error.message || String(error), checkedAt: Date.now() };
+    }
+}
+
+// "🟢 12/100 players · 35ms · Paper 1.21.4" plus the MOTD on a second line,
+// or "🔴 Unreachable (connect ECONNREFUSED ...)"
+function formatServerStatus(status) {
+    if (!status) return '❔ Not checked yet';
+    if (!status.online) return `🔴 Unreachable${status.error ? ` (${status.error.substring(0, 100)})` : ''}`;
+
+    const summary = `🟢 ${status.players.online}/${status.players.max} players · ${status.latency}ms${status.version ? ` · ${status.version}` : ''}`;
+    const motd = status.motd.split('\n').map(line => line.trim()).filter(Boolean).join(' / ').replace(/`/g, "'").substring(0, 150);
+    return motd ? `${summary}\n\`${motd}\`` : summary;
+}
+
+// Last known status of the configured server. Simultaneous checks (several
+// accounts connecting at once) share one ping.
+class ServerMonitor {
+    constructor(server, config) {
+        this.server = server;
+        this.config = config;
+        this.status = null;
+        this.pending = null;
+    }
+
+    check() {
+        if (!this.pending) {
+            this.pending = pingServer(this.server, this.config.timeout)
+                .then(status => {
+                    this.status = status;
+                    return status;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+}
+
+function validateStatusPingConfig(config) {
+    const errors = [];
+
+    if (!Number.isInteger(config.interval) || (config.interval !== 0 && config.interval < 5000)) {
+        errors.push('statusPing.interval must be 0 or an integer of at least 5000 (milliseconds)');
+    }
+    if (!Number.isInteger(config.timeout) || config.timeout < 500) {
+        errors.push('statusPing.timeout must be an integer of at least 500 (milliseconds)');
+    }
+    if (!Number.isInteger(config.retryInterval) || config.retryInterval < 1000) {
+        errors.push('statusPing.retryInterval must be an integer of at least 1000 (milliseconds)');
+    }
+
+    return errors;
+}
+
+module.exports = { DEFAULT_STATUS_PING_CONFIG, pingServer, formatServerStatus, ServerMonitor, validateStatusPingConfig };
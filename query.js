@@ -0,0 +1,80 @@
+const { stripFormatting } = require('./chat');
+
+// ============================================================================
+// QUERY COMMANDS
+// ============================================================================
+
+// A query command is a server command whose answer comes back as a chat line,
+// e.g. /shards -> "You have 1,234 shards". Each pattern captures the amount
+// in its first group.
+
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+// "1,234" / "1.5k" / "$2.3M" -> number, or null
+function parseAmount(text) {
+    const match = /^\$?(\d[\d,]*(?:\.\d+)?)\s*([kmbt])?$/i.exec(String(text).trim());
+    if (!match) return null;
+
+    const value = Number(match[1].replace(/,/g, '')) * (AMOUNT_SUFFIXES[match[2]?.toLowerCase()] || 1);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Sends `query.command` and resolves with the first system message that one of
+// the patterns can read an amount from: { value, line }
+function runQuery(bot, query, timeout) {
+    const patterns = query.patterns.map(pattern => new RegExp(pattern, 'i'));
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            clearTimeout(timer);
+            bot.removeListener('messagestr', onMessage);
+            bot.removeListener('end', onEnd);
+        };
+
+        const onMessage = (text, position) => {
+            // Other players' chat could quote the same words; the action bar repeats constantly
+            if (position === 'chat' || position === 'game_info') return;
+
+            const line = stripFormatting(text).trim();
+            for (const pattern of patterns) {
+                const value = parseAmount(line.match(pattern)?.[1] ?? '');
+                if (value !== null) {
+                    finish();
+                    resolve({ value, line });
+                    return;
+                }
+            }
+        };
+
+        const onEnd = () => {
+            finish();
+            reject(new Error('Disconnected before the server answered'));
+        };
+
+        const timer = setTimeout(() => {
+            finish();
+            reject(new Error(`No answer to ${query.command} within ${Math.round(timeout / 1000)}s`));
+        }, timeout);
+
+        bot.on('messagestr', onMessage);
+        bot.once('end', onEnd);
+        bot.chat(query.command);
+    });
+}
+
+// One query at a time per bot, so two answers can never be mixed up
+class QueryRunner {
+    constructor() {
+        this.queue = Promise.resolve();
+    }
+
+    run(bot, query, timeout) {
+        const result = this.queue.then(() => runQuery(bot, query, timeout));
+        this.queue = result.catch(() => {
+            // The caller handles the failure
+        });
+        return result;
+    }
+}
+
+module.exports = { parseAmount, runQuery, QueryRunner };
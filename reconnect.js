@@ -0,0 +1,103 @@
+const { stripFormatting } = require('./chat');
+
+// ============================================================================
+// RECONNECT STRATEGY
+// ============================================================================
+
+const DEFAULT_RECONNECT_CONFIG = {
+    baseDelay: 15000, // ms before the first retry
+    maxDelay: 600000, // ms - the backoff never waits longer than this
+    multiplier: 2, // each failed attempt multiplies the delay
+    jitter: 0.25, // +/- share of the delay, so several accounts don't retry in lockstep
+    maxAttempts: 10000 // give up (and stop auto-joining) after this many
+};
+
+// First match wins. `minDelay` holds the retry back when retrying too soon
+// is known to fail, e.g. the old session still being online.
+const KICK_REASONS = [
+    { type: 'banned', label: '🔨 Banned', retry: false, pattern: /\bbann?ed\b|\bban\b|blacklisted/i },
+    { type: 'whitelist', label: '📋 Not whitelisted', retry: false, pattern: /white-?list/i },
+    { type: 'already_online', label: '👥 Already online', retry: true, minDelay: 60000, pattern: /already (online|connected|logged in|playing)|logged in from another location|duplicate[_ ]login/i },
+    { type: 'restarting', label: '🔁 Server restarting', retry: true, minDelay: 30000, pattern: /restart|reboot|shutting down|shutdown|server (is )?(closed|closing|stopping)|maintenance/i },
+    { type: 'throttled', label: '⏳ Connection throttled', retry: true, minDelay: 30000, pattern: /throttl|too (fast|quickly|many)|wait .*before/i },
+    { type: 'full', label: '🈵 Server full', retry: true, minDelay: 60000, pattern: /server is full|full server/i },
+    { type: 'idle', label: '💤 Idle kick', retry: true, pattern: /\bidle\b|idling|\bafk\b|inactiv/i }
+];
+
+const GENERIC_KICK = { type: 'kicked', label: '👢 Kicked', retry: true };
+
+// Backoff for the nth attempt (1-based), capped and spread by the jitter
+function getReconnectDelay(attempt, config) {
+    const delay = Math.min(config.maxDelay, config.baseDelay * config.multiplier ** (attempt - 1));
+    const spread = delay * config.jitter * (Math.random() * 2 - 1);
+    return Math.max(1000, Math.round(Math.min(config.maxDelay, delay + spread)));
+}
+
+// Anonymous NBT ({ type, value }) from 1.20.3+ kick packets -> plain JSON
+function simplifyNbt(tag) {
+    if (!tag || typeof tag !== 'object' || !('type' in tag)) return tag;
+
+    switch (tag.type) {
+        case 'compound':
+            return Object.fromEntries(Object.entries(tag.value).map(([key, value]) => [key, simplifyNbt(value)]));
+        case 'list':
+            return tag.value.value.map(value => simplifyNbt({ type: tag.value.type, value }));
+        default:
+            return tag.value;
+    }
+}
+
+function componentToText(component) {
+    if (component === null || component === undefined) return '';
+    if (typeof component !== 'object') return String(component);
+    if (Array.isArray(component)) return component.map(componentToText).join('');
+
+    const own = component.text ?? component[''] ?? (component.translate
+        ? [component.translate, ...(component.with || []).map(componentToText)].join(' ')
+        : '');
+    return own + (component.extra || []).map(componentToText).join('');
+}
+
+// Kick reasons arrive as JSON text, a chat component or NBT depending on the
+// version; all of them end up as plain text without colour codes
+function formatKickReason(reason) {
+    let component = simplifyNbt(reason);
+    if (typeof component === 'string') {
+        try {
+            component = JSON.parse(component);
+        } catch (error) {
+            // Plain text reason
+        }
+    }
+    return stripFormatting(componentToText(component)).replace(/\s+/g, ' ').trim() || 'No reason given';
+}
+
+function classifyKickReason(text) {
+    const match = KICK_REASONS.find(kick => kick.pattern.test(text));
+    const { type, label, retry, minDelay = 0 } = match || GENERIC_KICK;
+    return { type, label, retry, minDelay, reason: text };
+}
+
+function validateReconnectConfig(config) {
+    const errors = [];
+
+    if (!Number.isInteger(config.baseDelay) || config.baseDelay < 1000) {
+        errors.push('reconnect.baseDelay must be an integer of at least 1000 (milliseconds)');
+    }
+    if (!Number.isInteger(config.maxDelay) || config.maxDelay < config.baseDelay) {
+        errors.push('reconnect.maxDelay must be an integer no smaller than reconnect.baseDelay (milliseconds)');
+    }
+    if (typeof config.multiplier !== 'number' || config.multiplier < 1) {
+        errors.push('reconnect.multiplier must be a number of at least 1');
+    }
+    if (typeof config.jitter !== 'number' || config.jitter < 0 || config.jitter > 1) {
+        errors.push('reconnect.jitter must be a number between 0 and 1');
+    }
+    if (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1) {
+        errors.push('reconnect.maxAttempts must be a positive integer');
+    }
+
+    return errors;
+}
+
+module.exports = { DEFAULT_RECONNECT_CONFIG, getReconnectDelay, componentToText, formatKickReason, classifyKickReason, validateReconnectConfig };
@@ -0,0 +1,74 @@
+const { stripFormatting } = require('./chat');
+
+// ============================================================================
+// SERVER RESTARTS
+// ============================================================================
+
+const DEFAULT_RESTART_CONFIG = {
+    // System messages that announce a restart (case-insensitive regular expressions)
+    announcementPatterns: [
+        'server (?:is |will be |will )?restart(?:ing)?',
+        'restart(?:ing)? in \\d+',
+        '(?:restarting|rebooting) (?:now|soon)',
+        'server (?:is )?(?:shutting down|stopping)'
+    ],
+    announcementWindow: 900000, // ms - a disconnect this soon after an announcement counts as the restart
+    pingInterval: 10000, // ms between status pings while the server is down
+    rejoinDelay: 15000, // ms - let the server finish starting after it first answers
+    maxWait: 900000, // ms - after this the normal reconnect backoff takes over
+    quietPeriod: 120000 // ms of proximity alert silence in the spawn area after rejoining, while everyone piles back in
+};
+
+function compilePatterns(patterns) {
+    if (!Array.isArray(patterns)) return [];
+
+    return patterns.flatMap(pattern => {
+        if (typeof pattern !== 'string') return [];
+        try {
+            return [new RegExp(pattern, 'i')];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+// Bad entries are left out (loadConfig has already reported them); the
+// defaults only step in when nothing usable is left
+function compileRestartPatterns(patterns) {
+    const compiled = compilePatterns(patterns);
+    return compiled.length > 0 ? compiled : compilePatterns(DEFAULT_RESTART_CONFIG.announcementPatterns);
+}
+
+function isRestartAnnouncement(text, patterns) {
+    const line = stripFormatting(text);
+    return patterns.some(pattern => pattern.test(line));
+}
+
+function validateRestartConfig(config) {
+    const errors = [];
+
+    if (!Array.isArray(config.announcementPatterns) || !config.announcementPatterns.every(pattern => typeof pattern === 'string')) {
+        errors.push('restart.announcementPatterns must be a list of regular expressions');
+    } else {
+        for (const pattern of config.announcementPatterns) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`restart.announcementPatterns: ${error.message}`);
+            }
+        }
+    }
+
+    for (const key of ['announcementWindow', 'pingInterval', 'rejoinDelay', 'maxWait', 'quietPeriod']) {
+        if (!Number.isInteger(config[key]) || config[key] < 0) {
+            errors.push(`restart.${key} must be a non-negative integer (milliseconds)`);
+        }
+    }
+    if (config.pingInterval < 1000) {
+        errors.push('restart.pingInterval must be at least 1000 (milliseconds)');
+    }
+
+    return errors;
+}
+
+module.exports = { DEFAULT_RESTART_CONFIG, compileRestartPatterns, isRestartAnnouncement, validateRestartConfig };
@@ -0,0 +1,84 @@
+// ============================================================================
+// SAFETY CONFIGURATION
+// ============================================================================
+
+const DEFAULT_SAFETY_CONFIG = {
+    enabled: true, // toggle safety monitoring
+    proximityRadius: 50, // blocks
+    minHealth: 10, // health points (out of 20)
+    alertCooldown: 30000, // 30 seconds between alerts
+    autoDisconnectOnThreat: true, // auto-disconnect when threatened
+    autoDisconnectHealth: 6, // disconnect below this health
+    disconnectOnPvp: false, // leave as soon as a player hits us, whatever the health
+    environmentDisconnect: true, // let fall/fire/starvation damage trigger the health disconnect
+    autoEat: true, // eat from the inventory when hungry
+    eatBelow: 14, // food points (out of 20) that count as hungry
+    mobAlerts: true, // alert when hostile mobs come close
+    mobRadius: 16, // blocks
+    mobCooldown: 60000, // 1 minute between mob alerts
+    mobAutoAttack: false, // hit hostile mobs within reach
+    mobAutoDisconnect: false, // leave when a hostile mob enters the mob radius
+    spawnProtection: true // ignore players around spawn, where everyone lands after a restart
+};
+
+// Drives the /safety set options, validation and display. `scale` converts the
+// value users type (e.g. seconds) into the stored unit (milliseconds).
+const SAFETY_SETTINGS = [
+    { option: 'enabled', key: 'enabled', type: 'boolean', label: 'Monitoring', description: 'Turn safety monitoring on or off' },
+    { option: 'proximity_radius', key: 'proximityRadius', type: 'integer', min: 1, max: 256, unit: 'blocks', label: 'Proximity radius', description: 'Radius in blocks for player detection' },
+    { option: 'min_health', key: 'minHealth', type: 'number', min: 0, max: 20, unit: 'HP', label: 'Low health alert', description: 'Alert when health drops to this value' },
+    { option: 'alert_cooldown', key: 'alertCooldown', type: 'integer', min: 0, max: 3600, scale: 1000, unit: 's', label: 'Alert cooldown', description: 'Seconds between repeated alerts' },
+    { option: 'auto_disconnect_on_threat', key: 'autoDisconnectOnThreat', type: 'boolean', label: 'Disconnect on threat', description: 'Let scores at the disconnect tier leave the server (otherwise they alert with buttons)' },
+    { option: 'auto_disconnect_health', key: 'autoDisconnectHealth', type: 'number', min: 0, max: 20, unit: 'HP', label: 'Disconnect at health', description: 'Disconnect when health drops to this value' },
+    { option: 'disconnect_on_pvp', key: 'disconnectOnPvp', type: 'boolean', label: 'Disconnect when attacked', description: 'Disconnect as soon as another player damages the bot' },
+    { option: 'environment_disconnect', key: 'environmentDisconnect', type: 'boolean', label: 'Disconnect on environment damage', description: 'Let fall, fire and other environmental damage trigger the health disconnect' },
+    { option: 'auto_eat', key: 'autoEat', type: 'boolean', label: 'Auto-eat', description: 'Eat from the inventory when the food bar runs low' },
+    { option: 'eat_below', key: 'eatBelow', type: 'integer', min: 1, max: 20, unit: 'food', label: 'Eat below', description: 'Food level (out of 20) that counts as hungry' },
+    { option: 'mob_alerts', key: 'mobAlerts', type: 'boolean', label: 'Mob alerts', description: 'Alert when hostile mobs come within the mob radius' },
+    { option: 'mob_radius', key: 'mobRadius', type: 'integer', min: 1, max: 64, unit: 'blocks', label: 'Mob radius', description: 'Radius in blocks for hostile mob detection' },
+    { option: 'mob_cooldown', key: 'mobCooldown', type: 'integer', min: 0, max: 3600, scale: 1000, unit: 's', label: 'Mob alert cooldown', description: 'Seconds between hostile mob alerts' },
+    { option: 'mob_auto_attack', key: 'mobAutoAttack', type: 'boolean', label: 'Attack mobs', description: 'Hit hostile mobs that get within reach' },
+    { option: 'mob_auto_disconnect', key: 'mobAutoDisconnect', type: 'boolean', label: 'Disconnect on mobs', description: 'Disconnect when a hostile mob comes within the mob radius' },
+    { option: 'spawn_protection', key: 'spawnProtection', type: 'boolean', label: 'Spawn protection', description: 'Ignore nearby players inside the spawn area' }
+];
+
+function validateSafetyConfig(config) {
+    const errors = [];
+
+    for (const setting of SAFETY_SETTINGS) {
+        const value = config[setting.key];
+        const scale = setting.scale || 1;
+
+        if (setting.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                errors.push(`${setting.label} must be true or false`);
+            }
+            continue;
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${setting.label} must be a number`);
+        } else if (setting.type === 'integer' && !Number.isInteger(value / scale)) {
+            errors.push(`${setting.label} must be a whole number`);
+        } else if (value < setting.min * scale || value > setting.max * scale) {
+            errors.push(`${setting.label} must be between ${setting.min} and ${setting.max}`);
+        }
+    }
+
+    if (errors.length === 0 && config.autoDisconnectHealth > config.minHealth) {
+        errors.push('Disconnect at health must not be above the low health alert threshold');
+    }
+
+    return errors;
+}
+
+function formatSafetyValue(setting, value) {
+    if (setting.type === 'boolean') {
+        return value ? '✅ On' : '❌ Off';
+    }
+
+    const displayValue = value / (setting.scale || 1);
+    return setting.unit ? `${displayValue} ${setting.unit}` : `${displayValue}`;
+}
+
+module.exports = { DEFAULT_SAFETY_CONFIG, SAFETY_SETTINGS, validateSafetyConfig, formatSafetyValue };
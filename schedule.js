@@ -0,0 +1,113 @@
+// ============================================================================
+// ONLINE SCHEDULE
+// ============================================================================
+
+const SCHEDULE_MODES = {
+    online: '🟢 Online',
+    offline: '🔴 Offline'
+};
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+// "22:00" -> minutes after midnight, or null
+function parseTime(text) {
+    const match = TIME_PATTERN.exec(String(text).trim());
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Windows may wrap past midnight (22:00-08:00); the end minute is excluded
+function isInWindow(entry, minuteOfDay) {
+    return entry.start < entry.end
+        ? minuteOfDay >= entry.start && minuteOfDay < entry.end
+        : minuteOfDay >= entry.start || minuteOfDay < entry.end;
+}
+
+// Daily online/offline windows in the host's local time, for one account or
+// all of them (account: null). Offline windows always win; once an account
+// has any online window it is only allowed online inside one.
+class Schedule {
+    constructor(store) {
+        this.store = store;
+        const data = store.load();
+        this.entries = data.entries;
+        this.nextId = data.nextId;
+    }
+
+    save() {
+        this.store.save({ entries: this.entries, nextId: this.nextId });
+    }
+
+    // Returns { entry } or { error }
+    add({ account = null, mode, start, end }) {
+        const startMinute = parseTime(start);
+        const endMinute = parseTime(end);
+
+        if (!SCHEDULE_MODES[mode]) {
+            return { error: `Mode must be one of: ${Object.keys(SCHEDULE_MODES).join(', ')}` };
+        }
+        if (startMinute === null || endMinute === null) {
+            return { error: 'Times must look like 22:00 (24-hour clock)' };
+        }
+        if (startMinute === endMinute) {
+            return { error: 'Start and end must be different times' };
+        }
+
+        const entry = { id: this.nextId++, account, mode, start: startMinute, end: endMinute };
+        this.entries.push(entry);
+        this.save();
+        return { entry };
+    }
+
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        const [entry] = this.entries.splice(index, 1);
+        this.save();
+        return entry;
+    }
+
+    list(accountId = null) {
+        return this.entries.filter(entry => !accountId || !entry.account || entry.account === accountId);
+    }
+
+    hasOnlineWindows(accountId) {
+        return this.list(accountId).some(entry => entry.mode === 'online');
+    }
+
+    isOnlineAllowed(accountId, date = new Date()) {
+        const entries = this.list(accountId);
+        const minute = date.getHours() * 60 + date.getMinutes();
+
+        if (entries.some(entry => entry.mode === 'offline' && isInWindow(entry, minute))) {
+            return false;
+        }
+        const online = entries.filter(entry => entry.mode === 'online');
+        return online.length === 0 || online.some(entry => isInWindow(entry, minute));
+    }
+
+    // When the account is next allowed online, or null if it already is (or the
+    // windows never let it)
+    getResumeTime(accountId, date = new Date()) {
+        if (this.isOnlineAllowed(accountId, date)) return null;
+
+        const next = new Date(date);
+        next.setSeconds(0, 0);
+        for (let step = 0; step < MINUTES_PER_DAY; step++) {
+            next.setMinutes(next.getMinutes() + 1);
+            if (this.isOnlineAllowed(accountId, next)) return next;
+        }
+        return null;
+    }
+
+    describe(entry) {
+        return `#${entry.id} ${SCHEDULE_MODES[entry.mode]} ${formatTime(entry.start)}–${formatTime(entry.end)} · ${entry.account ? `\`${entry.account}\`` : 'all accounts'}`;
+    }
+}
+
+module.exports = { SCHEDULE_MODES, Schedule };
@@ -0,0 +1,1696 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const mineflayer = require('mineflayer');
+const { CONFIG } = require('./config');
+const { DEFAULT_SAFETY_CONFIG, validateSafetyConfig } = require('./safety');
+const { tierRank, assessThreat } = require('./threat');
+const { DamageTracker } = require('./damage');
+const { getEdibleItems, formatFood } = require('./food');
+const { ATTACK_REACH, isHostileMob, findHostileMobs, describeMobs } = require('./mobs');
+const { AFK_ROUTINES, AntiAfk } = require('./afk');
+const { getReconnectDelay, formatKickReason, classifyKickReason } = require('./reconnect');
+const { compileRestartPatterns, isRestartAnnouncement } = require('./restart');
+const { stripFormatting } = require('./chat');
+const { formatServerStatus } = require('./ping');
+const { QueryRunner } = require('./query');
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const IGNORE_DURATION = 10 * 60 * 1000; // "Ignore for 10 min" alert button
+const MOB_CHECK_INTERVAL = 1000; // mobs move every tick - scan at most once a second
+const AFK_THREAT_PAUSE = 15000; // anti-AFK holds still this long after each threat check that finds someone
+
+// Compiled on first use, so a bad pattern shows up in the startup status instead of failing require()
+let restartPatterns = null;
+function getRestartPatterns() {
+    restartPatterns = restartPatterns || compileRestartPatterns(CONFIG.restart.announcementPatterns);
+    return restartPatterns;
+}
+
+// fetch() wraps socket failures as "fetch failed" with the real error in `cause`
+function isNetworkError(error) {
+    return NETWORK_ERROR_CODES.includes(error.code) ||
+        NETWORK_ERROR_CODES.includes(error.cause?.code) ||
+        error.message === 'fetch failed';
+}
+
+// ============================================================================
+// MINECRAFT ACCOUNT SESSION
+// ============================================================================
+
+// One session per Minecraft account: owns the connection, reconnect state,
+// safety settings and the control embed for that account.
+class MinecraftSession {
+    constructor(manager, account) {
+        this.manager = manager;
+        this.id = account.id;
+        this.username = account.username;
+
+        this.minecraftBot = null;
+        this.controlMessage = null;
+        this.isConnected = false;
+        this.isConnecting = false;
+        this.authUrl = null;
+        this.userCode = null;
+        this.shouldJoin = false;
+        this.lastAuthUser = null;
+        this.authInteraction = null;
+
+        // Device-code sign-in: null, 'pending', 'expired' or 'failed'
+        this.authState = null;
+        this.authError = null;
+        this.authExpiresAt = null;
+        this.authExpiryTimeout = null;
+
+        // Enhanced features
+        this.currentWorld = 'Unknown';
+        this.currentCoords = { x: 0, y: 0, z: 0 };
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = CONFIG.reconnect.maxAttempts;
+        this.reconnectTimeout = null;
+        this.nextReconnectAt = null;
+        this.connectStartedAt = 0;
+        this.lastDisconnect = null; // { type, label, reason, retry, minDelay, at }
+        this.safetyCheckInterval = null;
+        this.scheduleAllowed = this.manager.schedule.isOnlineAllowed(this.id); // as of the last applySchedule()
+        this.manualOffline = this.getSavedState().manualOffline === true; // disconnected by hand - online windows wait for the next connect
+
+        // Server restarts
+        this.restartAnnouncement = null; // { text, at } - last restart message seen in chat
+        this.serverWait = null; // { reason: 'restart' | 'unreachable', since } while pinging until the server is back
+        this.rejoiningAfterRestart = false;
+        this.quietUntil = 0; // proximity alerts stay off until then after a restart
+
+        // Server queries (/shards, /balance) and their periodic tracking
+        this.queryRunner = new QueryRunner();
+        this.economyTimeout = null;
+
+        // Safety features
+        this.safetyConfig = this.loadSafetyConfig();
+        this.nearbyPlayers = new Map();
+        this.ignoredAlerts = new Map(); // "player:<name>" / "type:<event type>" -> ignored until
+        this.lastHealthAlert = 0;
+        this.lastProximityAlert = 0;
+        this.currentHealth = 20;
+        this.lastHealth = 20;
+        this.damageTracker = null; // per bot, set up with its events
+        this.currentFood = 20;
+        this.currentSaturation = 5;
+        this.isEating = false;
+        this.outOfFoodAlerted = false;
+        this.lastMobCheck = 0;
+        this.lastMobAlert = 0;
+
+        // Anti-AFK routine, remembered across restarts
+        const storedRoutine = this.manager.afkStore.load()[this.id];
+        this.afkRoutine = AFK_ROUTINES[storedRoutine] ? storedRoutine : CONFIG.afk.routine;
+        this.antiAfk = null;
+    }
+
+    // ========================================================================
+    // CONNECTION CONTROL
+    // ========================================================================
+
+    async connect(authUser = null, authInteraction = null) {
+        if (authUser) {
+            this.lastAuthUser = authUser;
+        } else if (!this.lastAuthUser) {
+            // Joins the bot starts by itself (resume, schedule) still alert whoever last pressed Connect
+            await this.restoreAuthUser();
+        }
+        this.shouldJoin = true;
+        this.manualOffline = false;
+        this.saveDesiredState();
+        this.reconnectAttempts = 0;
+        this.clearReconnectTimeout();
+        this.clearAuthState();
+        if (authInteraction) {
+            this.authInteraction = authInteraction;
+        }
+
+        // Inside an offline window the bot joins once the window ends
+        if (this.isScheduledOffline()) {
+            await this.waitForSchedule();
+            return;
+        }
+
+        await this.connectToMinecraft();
+    }
+
+    async disconnect() {
+        this.shouldJoin = false;
+        this.manualOffline = true;
+        this.saveDesiredState();
+        this.reconnectAttempts = 0;
+        this.authInteraction = null;
+        this.clearAuthState();
+        this.clearReconnectTimeout();
+        this.stopAntiAfk();
+        this.stopEconomyTracking();
+        this.lastDisconnect = null;
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+            this.minecraftBot = null;
+        }
+
+        this.manager.updateDiscordActivity();
+        await this.updateEmbed();
+    }
+
+    // Persisted so the next start resumes the connection; process shutdown
+    // deliberately leaves it alone
+    saveDesiredState() {
+        const data = this.manager.stateStore.load();
+        data[this.id] = { online: this.shouldJoin, userId: this.lastAuthUser?.id || null, manualOffline: this.manualOffline };
+        this.manager.stateStore.save(data);
+    }
+
+    getSavedState() {
+        return this.manager.stateStore.load()[this.id] || { online: false, userId: null, manualOffline: false };
+    }
+
+    wasOnline() {
+        return this.getSavedState().online === true;
+    }
+
+    async restoreAuthUser() {
+        const { userId } = this.getSavedState();
+        if (!userId) return;
+
+        try {
+            this.lastAuthUser = await this.manager.discordClient.users.fetch(userId);
+        } catch (error) {
+            console.error(`[${this.id}] Could not fetch the last connecting user ${userId}:`, error.message);
+        }
+    }
+
+    // ========================================================================
+    // SCHEDULE
+    // ========================================================================
+
+    isScheduledOffline() {
+        return !this.manager.schedule.isOnlineAllowed(this.id);
+    }
+
+    async waitForSchedule() {
+        const resumeAt = this.manager.schedule.getResumeTime(this.id);
+        this.nextReconnectAt = resumeAt?.getTime() || null;
+        console.log(`[${this.id}] Scheduled offline${resumeAt ? ` until ${resumeAt.toLocaleString()}` : ''}`);
+        await this.updateEmbed();
+    }
+
+    // Polled by the manager. Acts only when the schedule flips: leaves at the
+    // start of an offline window (still wanting to join) and joins when it
+    // ends - or when an online window opens, unless someone disconnected the
+    // account by hand since its last connect.
+    async applySchedule() {
+        const allowed = this.manager.schedule.isOnlineAllowed(this.id);
+        if (allowed === this.scheduleAllowed) return;
+        this.scheduleAllowed = allowed;
+
+        if (!allowed) {
+            if (!this.shouldJoin) return;
+
+            console.log(`[${this.id}] Offline window started`);
+            this.reconnectAttempts = 0;
+            this.clearReconnectTimeout();
+            this.lastDisconnect = { type: 'schedule', label: '🗓️ Scheduled offline', reason: 'Outside the scheduled online hours', retry: true, minDelay: 0, at: Date.now() };
+
+            if (this.minecraftBot) {
+                // 'end' hands over to attemptReconnect(), which waits for the schedule
+                this.minecraftBot.quit();
+            } else {
+                await this.waitForSchedule();
+            }
+        } else if (this.shouldJoin || (this.manager.schedule.hasOnlineWindows(this.id) && !this.manualOffline)) {
+            console.log(`[${this.id}] Online window started`);
+            await this.connect();
+        } else {
+            await this.updateEmbed();
+        }
+    }
+
+    // ========================================================================
+    // SAFETY CONFIGURATION
+    // ========================================================================
+
+    loadSafetyConfig() {
+        const stored = this.manager.safetyStore.load()[this.id];
+        const config = { ...DEFAULT_SAFETY_CONFIG, ...stored };
+        const errors = validateSafetyConfig(config);
+
+        if (errors.length > 0) {
+            console.error(`[${this.id}] Ignoring invalid stored safety config: ${errors.join('; ')}`);
+            return { ...DEFAULT_SAFETY_CONFIG };
+        }
+        return config;
+    }
+
+    saveSafetyConfig() {
+        const data = this.manager.safetyStore.load();
+        data[this.id] = this.safetyConfig;
+        this.manager.safetyStore.save(data);
+    }
+
+    // Returns the validation errors; nothing is applied unless the merged config is valid
+    async updateSafetyConfig(changes) {
+        const config = { ...this.safetyConfig, ...changes };
+        const errors = validateSafetyConfig(config);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        this.safetyConfig = config;
+        this.saveSafetyConfig();
+        this.manager.updateDiscordActivity();
+        await this.updateEmbed();
+        return [];
+    }
+
+    async resetSafetyConfig() {
+        this.safetyConfig = { ...DEFAULT_SAFETY_CONFIG };
+
+        const data = this.manager.safetyStore.load();
+        delete data[this.id];
+        this.manager.safetyStore.save(data);
+
+        this.manager.updateDiscordActivity();
+        await this.updateEmbed();
+    }
+
+    getSafetySummary() {
+        if (!this.safetyConfig.enabled) {
+            return '⏸️ Disabled';
+        }
+
+        const state = this.isConnected ? '✅ Active' : '❌ Inactive';
+        // Players are scored; only the disconnect tier (101 = off) makes the bot leave
+        const disconnectTier = CONFIG.threat.tiers.disconnect;
+        const threatAction = this.safetyConfig.autoDisconnectOnThreat && disconnectTier <= 100 ? `DC at score ${disconnectTier}+` : 'alerts only';
+        return `${state}\n📏 ${this.safetyConfig.proximityRadius}m (${threatAction}) · 💔 ≤${this.safetyConfig.autoDisconnectHealth}`;
+    }
+
+    getStatus() {
+        return {
+            account: this.id,
+            connected: this.isConnected,
+            shouldJoin: this.shouldJoin,
+            username: this.minecraftBot?.username || null,
+            server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
+            version: CONFIG.minecraft.version,
+            profile: CONFIG.profile,
+            auth: CONFIG.minecraft.auth,
+            world: this.currentWorld,
+            coordinates: this.currentCoords,
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts,
+            nextReconnectAt: this.nextReconnectAt,
+            scheduledOffline: this.isScheduledOffline(),
+            waitingForServer: this.serverWait && { reason: this.serverWait.reason, since: this.serverWait.since },
+            lastDisconnect: this.lastDisconnect && {
+                type: this.lastDisconnect.type,
+                label: this.lastDisconnect.label,
+                reason: this.lastDisconnect.reason,
+                retry: this.lastDisconnect.retry,
+                at: this.lastDisconnect.at
+            },
+            authRequired: !!(this.authUrl && this.userCode),
+            authState: this.authState,
+            authError: this.authError,
+            health: this.currentHealth,
+            food: this.currentFood,
+            saturation: this.currentSaturation,
+            afkRoutine: this.afkRoutine,
+            safety: this.safetyConfig
+        };
+    }
+
+    // ========================================================================
+    // CONTROL EMBED
+    // ========================================================================
+
+    // Re-attaches to the panel from the previous run; a new one is only
+    // posted when that message is gone (or lives in another channel)
+    async setupControlMessage(channel) {
+        const stored = this.manager.panelStore.load()[this.id];
+
+        if (stored?.channelId === channel.id) {
+            try {
+                this.controlMessage = await channel.messages.fetch(stored.messageId);
+                await this.updateEmbed();
+                return;
+            } catch (error) {
+                console.log(`[${this.id}] Control panel ${stored.messageId} not found (${error.message}) - posting a new one`);
+            }
+        }
+
+        this.controlMessage = await channel.send({
+            embeds: [this.createEmbed()],
+            components: [this.createControlRow()]
+        });
+
+        const panels = this.manager.panelStore.load();
+        panels[this.id] = { channelId: channel.id, messageId: this.controlMessage.id };
+        this.manager.panelStore.save(panels);
+    }
+
+    createControlRow() {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`connect:${this.id}`)
+                    .setLabel('Connect')
+                    .setEmoji('✅')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`disconnect:${this.id}`)
+                    .setLabel('Disconnect')
+                    .setEmoji('❌')
+                    .setStyle(ButtonStyle.Danger)
+            );
+    }
+
+    createEmbed() {
+        const statusColor = this.isConnected ? '#00ff00' : this.shouldJoin ? '#ff9900' : '#ff0000';
+        const embed = new EmbedBuilder()
+            .setTitle(`🎮 Minecraft AFK Bot — ${this.id}`)
+            .setColor(statusColor)
+            .addFields(
+                { name: '🖥️ Server', value: `\`${this.getServerAddress()}\`${CONFIG.minecraft.auth === 'offline' ? ' (offline)' : ''}`, inline: true },
+                { name: '🔗 Status', value: this.getStatusText(), inline: true },
+                { name: '🛡️ Safety', value: this.getSafetySummary(), inline: true },
+                { name: '📶 Server Status', value: formatServerStatus(this.manager.serverMonitor.status), inline: false }
+            );
+
+        if (this.isConnected && this.minecraftBot) {
+            embed.addFields(
+                { name: '👤 Player', value: `\`${this.minecraftBot.username}\``, inline: true },
+                { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
+                { name: '❤️ Health', value: `\`${this.currentHealth}/20\``, inline: true },
+                { name: '🍗 Food', value: `\`${formatFood(this.currentFood, this.currentSaturation)}\``, inline: true },
+                { name: '🕹️ Anti-AFK', value: AFK_ROUTINES[this.afkRoutine].label, inline: true },
+                { name: '📍 Position', value: `\`${Math.round(this.currentCoords.x)}, ${Math.round(this.currentCoords.y)}, ${Math.round(this.currentCoords.z)}\``, inline: false }
+            );
+        }
+
+        if (this.reconnectAttempts > 0 && this.shouldJoin) {
+            const next = this.nextReconnectAt > Date.now() ? ` · next <t:${Math.ceil(this.nextReconnectAt / 1000)}:R>` : '';
+            embed.addFields({
+                name: '🔄 Reconnecting',
+                value: `${this.reconnectAttempts}/${this.maxReconnectAttempts}${next}`,
+                inline: true
+            });
+        }
+
+        if (this.lastDisconnect && !this.isConnected) {
+            embed.addFields({
+                name: '📤 Last Disconnect',
+                value: `${this.lastDisconnect.label} <t:${Math.floor(this.lastDisconnect.at / 1000)}:R>\n\`${this.lastDisconnect.reason.substring(0, 200).replace(/`/g, "'")}\`${this.lastDisconnect.retry ? '' : '\nNot reconnecting automatically'}`,
+                inline: false
+            });
+        }
+
+        embed.setTimestamp()
+            .setFooter({ text: 'Use buttons below to control the bot' });
+
+        if (this.authUrl && this.userCode) {
+            embed.addFields({
+                name: '🔑 Auth Required',
+                value: `[Click here](${this.authUrl}) | Code: \`${this.userCode}\``,
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    getStatusText() {
+        if (this.authState === 'expired') {
+            return '⌛ Sign-in code expired - press Connect for a new one';
+        }
+        if (this.authState === 'failed') {
+            return `🚫 Microsoft sign-in failed${this.authError ? `: ${this.authError.substring(0, 200)}` : ''}`;
+        }
+        if (this.authUrl && this.userCode) {
+            return `⏳ Waiting for Microsoft authentication (code expires <t:${Math.floor(this.authExpiresAt / 1000)}:R>)`;
+        }
+        if (this.isConnected && this.minecraftBot) {
+            return `✅ Connected as ${this.minecraftBot.username}`;
+        }
+        if (this.shouldJoin && !this.isConnected) {
+            if (this.isScheduledOffline() && !this.isConnecting) {
+                return this.nextReconnectAt
+                    ? `🗓️ Scheduled offline - back <t:${Math.floor(this.nextReconnectAt / 1000)}:R>`
+                    : '🗓️ Scheduled offline';
+            }
+            if (this.serverWait?.reason === 'restart' && !this.isConnecting) {
+                return this.nextReconnectAt
+                    ? `🔁 Server is back - rejoining <t:${Math.ceil(this.nextReconnectAt / 1000)}:R>`
+                    : `🔁 Server restarting - waiting for it since <t:${Math.floor(this.serverWait.since / 1000)}:t>`;
+            }
+            if (this.serverWait?.reason === 'unreachable' && !this.isConnecting) {
+                return `📴 Server unreachable since <t:${Math.floor(this.serverWait.since / 1000)}:t> - joining once it answers`;
+            }
+            if (this.reconnectAttempts > 0) {
+                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
+            }
+            return '⏳ Connecting...';
+        }
+        return '❌ Disconnected';
+    }
+
+    async updateEmbed() {
+        if (!this.controlMessage) return;
+
+        try {
+            await this.controlMessage.edit({
+                embeds: [this.createEmbed()],
+                components: [this.createControlRow()]
+            });
+        } catch (error) {
+            console.error(`[${this.id}] Failed to update embed:`, error);
+        }
+    }
+
+    updatePositionInfo() {
+        if (this.minecraftBot && this.minecraftBot.entity && this.minecraftBot.entity.position) {
+            this.currentCoords = {
+                x: this.minecraftBot.entity.position.x,
+                y: this.minecraftBot.entity.position.y,
+                z: this.minecraftBot.entity.position.z
+            };
+        }
+    }
+
+    // ========================================================================
+    // SAFETY MONITORING
+    // ========================================================================
+
+    // `actions` picks the buttons: { player, ignorePlayer, muteType, disconnected, buttons: false }.
+    // Delivery (DMs, alert channel, webhooks) is up to the manager's alert router.
+    async sendSafetyAlert(title, description, color = '#ff0000', isUrgent = false, actions = {}) {
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setDescription(description)
+            .setColor(color)
+            .addFields(
+                { name: '👤 **Account**', value: `\`${this.minecraftBot?.username || this.id}\``, inline: true },
+                { name: '📍 **Location**', value: `\`X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}\``, inline: true },
+                { name: '🌍 **World**', value: `\`${this.currentWorld}\``, inline: true },
+                { name: '❤️ **Health**', value: `\`${this.currentHealth}/20\``, inline: true },
+                { name: '⏰ **Time**', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false }
+            )
+            .setTimestamp()
+            .setFooter({ text: 'AFK Bot Safety System' });
+
+        try {
+            await this.manager.alertRouter.send({
+                session: this,
+                title,
+                description,
+                severity: isUrgent ? 'urgent' : 'warning',
+                embed,
+                components: actions.buttons === false ? [] : [this.createAlertRow(actions)]
+            });
+        } catch (error) {
+            console.error(`[${this.id}] Failed to send safety alert:`, error);
+        }
+    }
+
+    recordSafetyEvent(type, action, { players = [], details = null } = {}) {
+        this.manager.safetyLog.append({
+            timestamp: Date.now(),
+            account: this.id,
+            type,
+            action,
+            players,
+            world: this.currentWorld,
+            coords: {
+                x: Math.round(this.currentCoords.x),
+                y: Math.round(this.currentCoords.y),
+                z: Math.round(this.currentCoords.z)
+            },
+            health: this.currentHealth,
+            details
+        });
+    }
+
+    checkPlayerProximity() {
+        if (!this.minecraftBot || !this.minecraftBot.players) return;
+        if (!this.minecraftBot.entity) return;
+
+        const myPos = this.minecraftBot.entity.position;
+        const nearbyPlayers = [];
+
+        for (const [username, player] of Object.entries(this.minecraftBot.players)) {
+            if (!this.minecraftBot || username === this.minecraftBot.username) continue;
+            if (!player.entity || !player.entity.position) continue;
+
+            const distance = myPos.distanceTo(player.entity.position);
+            if (distance <= this.safetyConfig.proximityRadius) {
+                nearbyPlayers.push({ username, distance: Math.round(distance), exactDistance: distance, entity: player.entity });
+            }
+        }
+
+        // Sightings are tracked even while alerts are off or cooling down
+        this.updateNearbyPlayers(nearbyPlayers);
+
+        if (!this.safetyConfig.enabled) return;
+
+        // Check if bot is in spawn area (X and Z between -100 and 100)
+        const isInSpawnArea = Math.abs(myPos.x) <= 100 && Math.abs(myPos.z) <= 100;
+        // Right after a restart the whole server rejoins at spawn at once
+        const ignoreUnblocked = isInSpawnArea && (this.safetyConfig.spawnProtection || Date.now() < this.quietUntil);
+
+        const assessments = nearbyPlayers
+            .filter(player => this.manager.isBlocked(player.username) ||
+                (!this.manager.isTrusted(player.username) && !this.isAlertIgnored(`player:${player.username}`)))
+            .map(player => this.assessPlayer(player))
+            // In spawn, spawn protection and the post-restart quiet period ignore everyone but blocked players
+            .filter(assessment => assessment.tier !== 'none' &&
+                (assessment.reasons.includes('blocked') || !ignoreUnblocked));
+
+        if (assessments.length > 0) {
+            // Hold still while someone is being sized up
+            this.antiAfk?.pause(AFK_THREAT_PAUSE);
+            this.handleThreats(assessments);
+        }
+    }
+
+    assessPlayer(player) {
+        const blocked = this.manager.isBlocked(player.username);
+        const assessment = assessThreat({
+            username: player.username,
+            distance: player.distance,
+            approachSpeed: this.nearbyPlayers.get(player.username)?.approachSpeed,
+            entity: player.entity,
+            encounters: this.manager.playerTracker.get(player.username)?.encounters || 1,
+            blocked
+        }, this.safetyConfig.proximityRadius, CONFIG.threat);
+
+        // With auto-disconnect off, untrusted players top out at an alert with buttons
+        if (assessment.tier === 'disconnect' && !blocked && !this.safetyConfig.autoDisconnectOnThreat) {
+            assessment.tier = 'buttons';
+        }
+        return assessment;
+    }
+
+    // Acts on the highest tier reached. Alerts repeat once the cooldown has
+    // passed; a player climbing to a tier they haven't triggered yet this
+    // encounter is reported straight away.
+    handleThreats(assessments) {
+        const now = Date.now();
+        const cooldownOver = now - this.lastProximityAlert >= this.safetyConfig.alertCooldown;
+        const escalated = assessments.filter(assessment => {
+            const encounter = this.nearbyPlayers.get(assessment.username);
+            return !encounter || tierRank(assessment.tier) > tierRank(encounter.reportedTier);
+        });
+
+        const top = assessments.reduce((highest, assessment) =>
+            tierRank(assessment.tier) > tierRank(highest.tier) ||
+            (assessment.tier === highest.tier && assessment.score > highest.score) ? assessment : highest);
+
+        const markReported = (reported) => {
+            for (const assessment of reported) {
+                const encounter = this.nearbyPlayers.get(assessment.username);
+                if (encounter && tierRank(assessment.tier) > tierRank(encounter.reportedTier)) {
+                    encounter.reportedTier = assessment.tier;
+                }
+            }
+        };
+        const toEventPlayers = (list) => list.map(({ username, distance, score }) => ({ username, distance, score }));
+        const describe = (list) => list
+            .map(a => `${a.username} (${a.distance}m, score ${a.score}${a.reasons.length > 0 ? `: ${a.reasons.join(', ')}` : ''})`)
+            .join('\n');
+
+        // Below alert level: just note each player once per encounter
+        if (top.tier === 'log') {
+            for (const assessment of escalated) {
+                this.recordSafetyEvent('threat', 'log', { players: toEventPlayers([assessment]), details: `score ${assessment.score}` });
+            }
+            markReported(escalated);
+            return;
+        }
+
+        const alertable = assessments.filter(a => tierRank(a.tier) >= tierRank('alert'));
+        if (!cooldownOver && !escalated.some(a => tierRank(a.tier) >= tierRank('alert'))) return;
+
+        this.lastProximityAlert = now;
+        markReported(assessments);
+
+        if (top.tier === 'disconnect') {
+            const blockedThreats = alertable.filter(a => a.reasons.includes('blocked'));
+            const isBlocked = blockedThreats.length > 0;
+            const reported = isBlocked ? blockedThreats : alertable;
+
+            this.recordSafetyEvent(isBlocked ? 'blocked_player' : 'threat', 'disconnect', {
+                players: toEventPlayers(reported),
+                details: isBlocked ? null : `score ${top.score}`
+            });
+            this.sendSafetyAlert(
+                isBlocked ? '⛔ BLOCKED PLAYER NEARBY - AUTO DISCONNECT' : '🚨 THREAT DETECTED - AUTO DISCONNECT',
+                `**${isBlocked ? 'Blocked' : 'Threatening'} player(s) detected within ${this.safetyConfig.proximityRadius} blocks:**\n${describe(reported)}\n\n**Action:** Bot automatically disconnected for safety!`,
+                '#ff0000',
+                true,
+                { player: reported[0].username, disconnected: true }
+            );
+            this.disconnectForSafety(isBlocked ? 'Blocked player nearby' : `Threat score ${top.score}`, 1000);
+            return;
+        }
+
+        const withButtons = top.tier === 'buttons';
+        this.recordSafetyEvent('threat', withButtons ? 'buttons' : 'alert', {
+            players: toEventPlayers(alertable),
+            details: `score ${top.score}`
+        });
+        this.sendSafetyAlert(
+            withButtons ? '🚨 Threat Nearby' : '👀 Untrusted Player Nearby',
+            `**Untrusted player(s) detected within ${this.safetyConfig.proximityRadius} blocks:**\n${describe(alertable)}`,
+            withButtons ? '#ff5500' : '#ff9900',
+            withButtons,
+            { player: top.username, ignorePlayer: true, buttons: withButtons }
+        );
+    }
+
+    // Custom ids are "alert:<action>:<target>:<account>" - the account goes
+    // last since it is the only part that may contain ':'
+    createAlertRow({ player = null, ignorePlayer = false, muteType = null, disconnected = false } = {}) {
+        const row = new ActionRowBuilder();
+
+        if (disconnected) {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`alert:reconnect::${this.id}`)
+                    .setLabel('Reconnect')
+                    .setEmoji('🔄')
+                    .setStyle(ButtonStyle.Success)
+            );
+        } else {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`alert:disconnect::${this.id}`)
+                    .setLabel('Disconnect now')
+                    .setEmoji('🔌')
+                    .setStyle(ButtonStyle.Danger)
+            );
+        }
+
+        if (player) {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`alert:trust:${player}:${this.id}`)
+                    .setLabel(`Trust ${player}`)
+                    .setEmoji('🤝')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+        }
+
+        if ((player && ignorePlayer) || muteType) {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(player && ignorePlayer ? `alert:ignore:${player}:${this.id}` : `alert:mute:${muteType}:${this.id}`)
+                    .setLabel('Ignore for 10 min')
+                    .setEmoji('🔕')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+        }
+
+        return row;
+    }
+
+    ignoreAlerts(key, duration = IGNORE_DURATION) {
+        const until = Date.now() + duration;
+        this.ignoredAlerts.set(key.toLowerCase(), until);
+        return until;
+    }
+
+    isAlertIgnored(key) {
+        const until = this.ignoredAlerts.get(key.toLowerCase());
+        if (until && until > Date.now()) return true;
+
+        this.ignoredAlerts.delete(key.toLowerCase());
+        return false;
+    }
+
+    async checkHealth() {
+        if (!this.safetyConfig.enabled || !this.minecraftBot || !this.minecraftBot.health) return;
+
+        this.lastHealth = this.currentHealth;
+        this.currentHealth = this.minecraftBot.health;
+
+        // Check for health decrease (taking damage)
+        if (this.currentHealth < this.lastHealth) {
+            const damage = this.lastHealth - this.currentHealth;
+            const source = this.damageTracker?.attribute() || { kind: 'unknown', attacker: null, description: 'Source unknown' };
+            const attacker = source.kind === 'pvp' ? source.attacker : null;
+            const players = attacker ? [{ username: attacker, distance: source.distance }] : [];
+            const details = `took ${damage} damage (${source.description})`;
+
+            // Environmental damage can be left to the low health alert instead
+            const criticalDisconnect = this.currentHealth <= this.safetyConfig.autoDisconnectHealth &&
+                (source.kind !== 'environment' || this.safetyConfig.environmentDisconnect);
+            const pvpDisconnect = attacker && this.safetyConfig.disconnectOnPvp;
+
+            if (criticalDisconnect || pvpDisconnect) {
+                this.recordSafetyEvent(criticalDisconnect ? 'critical_health' : 'damage', 'disconnect', { players, details });
+                this.sendSafetyAlert(
+                    criticalDisconnect ? '🚨 CRITICAL HEALTH - AUTO DISCONNECT' : '⚔️ ATTACKED BY PLAYER - AUTO DISCONNECT',
+                    `**You took ${damage} damage! Health: ${this.currentHealth}/20**\n${source.description}\n\n**Action:** Bot automatically disconnected for safety!`,
+                    '#8B0000',
+                    true,
+                    { player: attacker, disconnected: true }
+                );
+                this.disconnectForSafety(criticalDisconnect ? `Health ${this.currentHealth}/20` : `Attacked by ${attacker}`);
+                return;
+            }
+
+            this.recordSafetyEvent('damage', 'alert', { players, details });
+            if (!this.isAlertIgnored('type:damage')) {
+                this.sendSafetyAlert(
+                    attacker ? '⚔️ Attacked by Player' : '🩸 Damage Taken',
+                    `**You took ${damage} damage!**\n${source.description}\nHealth decreased from ${this.lastHealth} to ${this.currentHealth}`,
+                    '#ff0000',
+                    true,
+                    { player: attacker, muteType: 'damage' }
+                );
+            }
+        }
+
+        // Check for low health warning
+        const now = Date.now();
+        if (this.currentHealth <= this.safetyConfig.minHealth &&
+            now - this.lastHealthAlert > this.safetyConfig.alertCooldown) {
+
+            this.lastHealthAlert = now;
+            this.recordSafetyEvent('low_health', 'alert');
+            if (!this.isAlertIgnored('type:low_health')) {
+                this.sendSafetyAlert(
+                    '💀 Critical Health Alert',
+                    `**DANGER: Health is critically low at ${this.currentHealth}/20!**\nConsider disconnecting immediately!`,
+                    '#8B0000',
+                    true,
+                    { muteType: 'low_health' }
+                );
+            }
+        }
+    }
+
+    // ========================================================================
+    // ANTI-AFK
+    // ========================================================================
+
+    startAntiAfk() {
+        if (!this.minecraftBot) return;
+
+        if (!this.antiAfk) {
+            this.antiAfk = new AntiAfk(this.minecraftBot, CONFIG.afk);
+        }
+        this.antiAfk.start(this.afkRoutine);
+    }
+
+    stopAntiAfk() {
+        this.antiAfk?.stop();
+        this.antiAfk = null;
+    }
+
+    setAfkRoutine(routine) {
+        this.afkRoutine = routine;
+
+        const stored = this.manager.afkStore.load();
+        stored[this.id] = routine;
+        this.manager.afkStore.save(stored);
+
+        if (this.isConnected) {
+            this.startAntiAfk();
+        }
+    }
+
+    // ========================================================================
+    // ECONOMY
+    // ========================================================================
+
+    // Sends the query's command and records the amount the server answers with
+    async runQuery(name) {
+        const query = CONFIG.economy.queries[name];
+        if (!this.isConnected || !this.minecraftBot) {
+            throw new Error('Not connected');
+        }
+
+        const result = await this.queryRunner.run(this.minecraftBot, query, CONFIG.economy.timeout);
+        this.manager.economy.record(this.id, name, result.value);
+        return result;
+    }
+
+    // Every query in turn; one failing (e.g. a command this server lacks) doesn't stop the rest
+    async trackEconomy() {
+        const results = {};
+        for (const name of Object.keys(CONFIG.economy.queries)) {
+            try {
+                results[name] = await this.runQuery(name);
+            } catch (error) {
+                console.log(`[${this.id}] Economy query ${name} failed: ${error.message}`);
+                results[name] = { error: error.message };
+            }
+        }
+        return results;
+    }
+
+    // First check once the post-spawn commands are through, then every economy.interval
+    startEconomyTracking() {
+        this.stopEconomyTracking();
+        if (CONFIG.economy.interval === 0) return;
+
+        const schedule = (delay) => {
+            this.economyTimeout = setTimeout(async () => {
+                await this.trackEconomy();
+                if (this.isConnected) {
+                    schedule(CONFIG.economy.interval);
+                }
+            }, delay);
+        };
+        schedule(CONFIG.minecraft.postSpawnDelay + CONFIG.minecraft.postSpawnCommands.length * 1500 + 5000);
+    }
+
+    stopEconomyTracking() {
+        clearTimeout(this.economyTimeout);
+        this.economyTimeout = null;
+    }
+
+    // ========================================================================
+    // HOSTILE MOBS
+    // ========================================================================
+
+    // Runs next to checkPlayerProximity with its own radius, cooldown and actions
+    checkMobProximity() {
+        const bot = this.minecraftBot;
+        if (!bot || !bot.entity || !this.safetyConfig.enabled) return;
+
+        const { mobAlerts, mobAutoAttack, mobAutoDisconnect, mobRadius } = this.safetyConfig;
+        if (!mobAlerts && !mobAutoAttack && !mobAutoDisconnect) return;
+
+        const now = Date.now();
+        if (now - this.lastMobCheck < MOB_CHECK_INTERVAL) return;
+        this.lastMobCheck = now;
+
+        const mobs = findHostileMobs(bot, mobRadius);
+        if (mobs.length === 0) return;
+
+        if (mobAutoAttack) {
+            this.attackMob(mobs[0]);
+        }
+
+        if (mobAutoDisconnect) {
+            this.recordSafetyEvent('hostile_mob', 'disconnect', { details: describeMobs(mobs) });
+            this.sendSafetyAlert(
+                '🧟 HOSTILE MOB NEARBY - AUTO DISCONNECT',
+                `**Hostile mob(s) within ${mobRadius} blocks:**\n${describeMobs(mobs)}\n\n**Action:** Bot automatically disconnected for safety!`,
+                '#ff0000',
+                true,
+                { disconnected: true }
+            );
+            this.disconnectForSafety(`Hostile mob nearby: ${describeMobs(mobs)}`);
+            return;
+        }
+
+        if (mobAlerts && now - this.lastMobAlert >= this.safetyConfig.mobCooldown) {
+            this.lastMobAlert = now;
+            this.recordSafetyEvent('hostile_mob', 'alert', { details: describeMobs(mobs) });
+            if (!this.isAlertIgnored('type:hostile_mob')) {
+                this.sendSafetyAlert(
+                    '🧟 Hostile Mob Nearby',
+                    `**Hostile mob(s) within ${mobRadius} blocks:**\n${describeMobs(mobs)}${mobAutoAttack ? '\n\nAuto-attack is on.' : ''}`,
+                    '#ff9900',
+                    false,
+                    { muteType: 'hostile_mob' }
+                );
+            }
+        }
+    }
+
+    attackMob(mob) {
+        if (mob.exactDistance > ATTACK_REACH) return;
+
+        const bot = this.minecraftBot;
+        const target = mob.entity;
+        this.antiAfk?.pause(MOB_CHECK_INTERVAL * 2);
+        bot.lookAt(target.position.offset(0, (target.height || 1) * 0.8, 0), true)
+            .then(() => {
+                if (this.minecraftBot === bot && bot.entities[target.id]) {
+                    bot.attack(target);
+                }
+            })
+            .catch(() => {
+                // Target despawned or the bot disconnected
+            });
+    }
+
+    // ========================================================================
+    // FOOD
+    // ========================================================================
+
+    async checkFood() {
+        const bot = this.minecraftBot;
+        if (!bot || bot.food === undefined) return;
+
+        this.currentFood = bot.food;
+        this.currentSaturation = bot.foodSaturation;
+        if (this.currentFood >= this.safetyConfig.eatBelow || this.isEating) return;
+
+        const items = getEdibleItems(bot);
+        if (items.length === 0) {
+            // One alert per hungry spell, not one per food tick
+            if (!this.outOfFoodAlerted && this.safetyConfig.enabled) {
+                this.outOfFoodAlerted = true;
+                this.recordSafetyEvent('no_food', 'alert', { details: `food ${this.currentFood}/20` });
+                if (!this.isAlertIgnored('type:no_food')) {
+                    this.sendSafetyAlert(
+                        '🍖 Out of Food',
+                        `**No edible items left in the inventory!**\nFood: ${this.currentFood}/20 - the bot starts losing health once it reaches 0.`,
+                        '#ff9900',
+                        false,
+                        { muteType: 'no_food' }
+                    );
+                }
+            }
+            return;
+        }
+
+        this.outOfFoodAlerted = false;
+        if (this.safetyConfig.autoEat) {
+            await this.eat(items[0]);
+        }
+    }
+
+    async eat(item) {
+        const bot = this.minecraftBot;
+        this.isEating = true;
+        this.antiAfk?.pause(5000);
+
+        try {
+            await bot.equip(item, 'hand');
+            await bot.consume();
+            console.log(`[${this.id}] Ate ${item.displayName} (food ${bot.food}/20)`);
+        } catch (error) {
+            console.error(`[${this.id}] Auto-eat failed: ${error.message}`);
+        } finally {
+            this.isEating = false;
+        }
+
+        if (this.minecraftBot === bot) {
+            this.currentFood = bot.food;
+            this.currentSaturation = bot.foodSaturation;
+            await this.updateEmbed();
+        }
+    }
+
+    // ========================================================================
+    // PLAYER SIGHTINGS
+    // ========================================================================
+
+    updateNearbyPlayers(inRange) {
+        const now = Date.now();
+        const tracker = this.manager.playerTracker;
+
+        for (const { username, distance, exactDistance } of inRange) {
+            const encounter = this.nearbyPlayers.get(username);
+            if (encounter) {
+                encounter.distance = distance;
+                encounter.closestDistance = Math.min(encounter.closestDistance, distance);
+                encounter.lastSeen = now;
+
+                // Approach speed over windows of at least half a second, so
+                // single movement packets don't produce wild spikes
+                const elapsed = now - encounter.sample.time;
+                if (elapsed >= 500) {
+                    encounter.approachSpeed = (encounter.sample.distance - exactDistance) / (elapsed / 1000);
+                    encounter.sample = { distance: exactDistance, time: now };
+                }
+
+                tracker.recordSighting(this.id, username, distance, now);
+            } else {
+                this.nearbyPlayers.set(username, {
+                    username,
+                    distance,
+                    closestDistance: distance,
+                    enteredAt: now,
+                    lastSeen: now,
+                    approachSpeed: 0,
+                    sample: { distance: exactDistance, time: now },
+                    reportedTier: 'none' // highest threat tier already acted on this encounter
+                });
+                tracker.recordEnter(this.id, username, distance, now);
+            }
+        }
+
+        for (const username of [...this.nearbyPlayers.keys()]) {
+            if (!inRange.some(player => player.username === username)) {
+                this.endEncounter(username, now);
+            }
+        }
+    }
+
+    endEncounter(username, now = Date.now()) {
+        const encounter = this.nearbyPlayers.get(username);
+        if (!encounter) return;
+
+        this.nearbyPlayers.delete(username);
+        this.manager.playerTracker.recordLeave(username, now - encounter.enteredAt, now);
+    }
+
+    // Called when we drop off the server - nobody is in range any more
+    clearNearbyPlayers() {
+        for (const username of [...this.nearbyPlayers.keys()]) {
+            this.endEncounter(username);
+        }
+    }
+
+    // ========================================================================
+    // MINECRAFT CONNECTION
+    // ========================================================================
+
+    // Exponential backoff with jitter. `minDelay` comes from the kick reason,
+    // e.g. waiting out an "already online" session.
+    async attemptReconnect(minDelay = 0) {
+        if (!this.shouldJoin || this.isConnecting || this.reconnectTimeout) {
+            return;
+        }
+
+        // Waiting out an offline window doesn't use up attempts; applySchedule() rejoins
+        if (this.isScheduledOffline()) {
+            this.reconnectAttempts = 0;
+            await this.waitForSchedule();
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.log(`[${this.id}] Giving up after ${this.reconnectAttempts} reconnect attempts`);
+            this.shouldJoin = false;
+            this.saveDesiredState();
+            this.nextReconnectAt = null;
+            await this.updateEmbed();
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = Math.max(minDelay, getReconnectDelay(this.reconnectAttempts, CONFIG.reconnect));
+        this.nextReconnectAt = Date.now() + delay;
+        console.log(`[${this.id}] Reconnect attempt ${this.reconnectAttempts} in ${Math.round(delay / 1000)}s`);
+
+        // 'error' and 'end' often fire back to back - the timer claims the slot first
+        this.reconnectTimeout = setTimeout(async () => {
+            this.reconnectTimeout = null;
+            this.nextReconnectAt = null;
+            if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
+                await this.connectToMinecraft();
+            }
+        }, delay);
+
+        await this.updateEmbed();
+    }
+
+    clearReconnectTimeout() {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        this.nextReconnectAt = null;
+        this.serverWait = null;
+    }
+
+    // Pings every `interval` until the server answers, then hands over to
+    // `onBack`. Holds the reconnect slot the whole time, so Connect,
+    // Disconnect and the schedule cancel it like any pending reconnect.
+    async waitForServer(reason, interval, { onBack, maxWait = Infinity, onTimeout = null }) {
+        const wait = { reason, since: this.serverWait?.since || Date.now() };
+        this.serverWait = wait;
+
+        const poll = async () => {
+            this.reconnectTimeout = null;
+            const status = await this.manager.serverMonitor.check();
+            // Cancelled or replaced while the ping was out
+            if (this.serverWait !== wait || this.reconnectTimeout || !this.shouldJoin || this.isConnected || this.isConnecting) return;
+
+            if (status.online) {
+                await onBack(status, wait);
+                return;
+            }
+
+            wait.wentDown = true;
+            if (Date.now() - wait.since >= maxWait) {
+                this.serverWait = null;
+                await onTimeout();
+            } else {
+                this.reconnectTimeout = setTimeout(poll, interval);
+            }
+        };
+
+        this.reconnectTimeout = setTimeout(poll, interval);
+        await this.updateEmbed();
+    }
+
+    // ========================================================================
+    // SERVER RESTARTS
+    // ========================================================================
+
+    handleRestartAnnouncement(text) {
+        const repeated = this.restartAnnouncement && Date.now() - this.restartAnnouncement.at < 60000;
+        this.restartAnnouncement = { text: stripFormatting(text).trim(), at: Date.now() };
+        // Countdowns repeat the announcement every few seconds
+        if (repeated) return;
+
+        console.log(`[${this.id}] Restart announced: ${this.restartAnnouncement.text}`);
+        this.recordSafetyEvent('server_restart', 'log', { details: `Announced: ${this.restartAnnouncement.text}` });
+        if (!this.isAlertIgnored('type:server_restart')) {
+            this.sendSafetyAlert(
+                '🔁 Server Restart Announced',
+                `${this.restartAnnouncement.text.substring(0, 1000)}\n\n**Action:** Staying online; once the server goes down the bot waits for it to answer pings again and rejoins`,
+                '#0099ff',
+                false,
+                { muteType: 'server_restart' }
+            );
+        }
+    }
+
+    // A restart kick, or an unexplained disconnect shortly after an announcement.
+    // Other classified kicks (ban, duplicate login, throttling...) keep their own retry rules.
+    isRestartDisconnect() {
+        const current = this.lastDisconnect?.at >= this.connectStartedAt ? this.lastDisconnect : null;
+        if (current?.type === 'restarting') return true;
+        if (current && current.type !== 'kicked') return false;
+
+        return !!this.restartAnnouncement && Date.now() - this.restartAnnouncement.at < CONFIG.restart.announcementWindow;
+    }
+
+    // lastDisconnect for a connection that dropped (rather than a kick) after an announcement
+    restartDisconnect(reason) {
+        return { type: 'restarting', label: '🔁 Server restarting', reason: this.restartAnnouncement?.text || reason, retry: true, minDelay: 0, at: Date.now(), announced: true };
+    }
+
+    // Rejoins once the server answers pings again. The wait uses up no
+    // reconnect attempts; after restart.maxWait the normal backoff takes over.
+    async waitForRestart() {
+        if (!this.shouldJoin || this.isConnecting || this.reconnectTimeout) {
+            return;
+        }
+        if (this.isScheduledOffline()) {
+            await this.waitForSchedule();
+            return;
+        }
+
+        // Anyone can type a line that looks like an announcement (plugins relay
+        // player chat as system messages), so only a restart kick or a server
+        // that really stopped answering pauses the alerts after rejoining
+        const kicked = this.lastDisconnect?.type === 'restarting' && !this.lastDisconnect.announced;
+        this.restartAnnouncement = null;
+        this.reconnectAttempts = 0;
+        console.log(`[${this.id}] Server restarting - waiting for it to come back`);
+
+        // The first ping waits too: a server that is shutting down still answers for a moment
+        await this.waitForServer('restart', CONFIG.restart.pingInterval, {
+            maxWait: CONFIG.restart.maxWait,
+            onBack: async (status, wait) => {
+                const restarted = kicked || wait.wentDown;
+                console.log(`[${this.id}] Server is back (${status.latency}ms) - rejoining in ${Math.round(CONFIG.restart.rejoinDelay / 1000)}s`);
+                this.nextReconnectAt = Date.now() + CONFIG.restart.rejoinDelay;
+                this.reconnectTimeout = setTimeout(async () => {
+                    this.reconnectTimeout = null;
+                    this.nextReconnectAt = null;
+                    this.serverWait = null;
+                    if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
+                        this.rejoiningAfterRestart = restarted;
+                        await this.connectToMinecraft();
+                    }
+                }, CONFIG.restart.rejoinDelay);
+                await this.updateEmbed();
+            },
+            onTimeout: async () => {
+                console.log(`[${this.id}] Server still down after ${Math.round(CONFIG.restart.maxWait / 60000)} min - falling back to regular reconnects`);
+                await this.attemptReconnect();
+            }
+        });
+    }
+
+    async waitUntilReachable(status) {
+        if (!this.serverWait) {
+            console.log(`[${this.id}] Server unreachable (${status.error}) - checking every ${Math.round(CONFIG.statusPing.retryInterval / 1000)}s`);
+        }
+        this.lastDisconnect = { type: 'unreachable', label: '📴 Server unreachable', reason: status.error, retry: true, minDelay: 0, at: Date.now() };
+
+        await this.waitForServer('unreachable', CONFIG.statusPing.retryInterval, {
+            onBack: async () => {
+                console.log(`[${this.id}] Server is reachable again`);
+                await this.connectToMinecraft();
+            }
+        });
+    }
+
+    // Leaves the server for good (no reconnect); `reason` ends up in the embed
+    disconnectForSafety(reason, delay = 500) {
+        setTimeout(() => {
+            this.shouldJoin = false;
+            this.saveDesiredState();
+            this.lastDisconnect = { type: 'safety', label: '🛡️ Safety disconnect', reason, retry: false, minDelay: 0, at: Date.now() };
+            if (this.minecraftBot) {
+                this.minecraftBot.quit();
+            }
+        }, delay);
+    }
+
+    // Kicks decide whether (and how soon) the 'end' that follows reconnects
+    handleKick(reason) {
+        const kick = classifyKickReason(formatKickReason(reason));
+        this.lastDisconnect = { ...kick, at: Date.now() };
+        console.log(`[${this.id}] Kicked (${kick.type}): ${kick.reason}`);
+
+        if (!kick.retry) {
+            this.shouldJoin = false;
+            this.saveDesiredState();
+        }
+
+        this.recordSafetyEvent('kicked', 'alert', { details: `${kick.type}: ${kick.reason}` });
+        if (!this.isAlertIgnored('type:kicked')) {
+            this.sendSafetyAlert(
+                kick.retry ? '👢 Kicked from Server' : '⛔ Kicked - Not Reconnecting',
+                `**${kick.label}**\n${kick.reason.substring(0, 1000)}\n\n**Action:** ${kick.type === 'restarting' ? 'Rejoining once the server is back up' : kick.retry ? 'Reconnecting automatically' : 'Auto-reconnect stopped - press Reconnect once the problem is fixed'}`,
+                kick.retry ? '#ff9900' : '#ff0000',
+                !kick.retry,
+                { disconnected: true, muteType: 'kicked' }
+            );
+        }
+    }
+
+    // Microsoft auth uses the username as the token cache key; offline mode
+    // logs in with it directly.
+    getLoginUsername() {
+        if (CONFIG.minecraft.auth === 'offline') {
+            return this.username || CONFIG.minecraft.username;
+        }
+        return this.username || 'Player';
+    }
+
+    getServerAddress() {
+        return CONFIG.minecraft.port === 25565
+            ? CONFIG.minecraft.host
+            : `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`;
+    }
+
+    async connectToMinecraft() {
+        if (this.isConnecting) {
+            return;
+        }
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+        }
+
+        try {
+            this.isConnecting = true;
+            this.connectStartedAt = Date.now();
+            await this.updateEmbed();
+
+            // A server that doesn't answer the status ping won't take a login
+            // either; waiting for it costs no reconnect attempts
+            const status = await this.manager.serverMonitor.check();
+            // Disconnect may also have been pressed while the ping was out
+            if (!status.online || !this.shouldJoin) {
+                this.isConnecting = false;
+                if (this.shouldJoin) {
+                    await this.waitUntilReachable(status);
+                } else {
+                    await this.updateEmbed();
+                }
+                return;
+            }
+            this.serverWait = null;
+
+            this.minecraftBot = mineflayer.createBot({
+                host: CONFIG.minecraft.host,
+                port: CONFIG.minecraft.port,
+                version: CONFIG.minecraft.version,
+                auth: CONFIG.minecraft.auth,
+                username: this.getLoginUsername(),
+                profilesFolder: CONFIG.auth.profilesFolder,
+                onMsaCode: (data) => this.handleMsaCode(data),
+                // Also silences the protocol's "Chunk size ... partial packet" dumps;
+                // errors are logged by our own 'error' handler instead
+                hideErrors: true
+            });
+
+            this.setupMinecraftEvents();
+
+        } catch (error) {
+            this.isConnecting = false;
+            if (this.shouldJoin) {
+                await this.attemptReconnect();
+            } else {
+                await this.updateEmbed();
+            }
+        }
+    }
+
+    setupMinecraftEvents() {
+        this.isAuthenticated = false;
+        this.damageTracker = new DamageTracker(this.minecraftBot);
+        this.minecraftBot._client.once('session', () => {
+            this.isAuthenticated = true;
+            this.clearAuthState();
+        });
+
+        this.minecraftBot.on('login', async () => {
+            this.isConnected = true;
+            this.isConnecting = false;
+            this.clearAuthState();
+            this.reconnectAttempts = 0;
+
+            if (this.authInteraction) {
+                try {
+                    const successEmbed = new EmbedBuilder()
+                        .setTitle('✅ Authentication Successful')
+                        .setDescription(`Connected to Minecraft server as **${this.minecraftBot.username}**!`)
+                        .setColor('#00ff00')
+                        .setTimestamp();
+
+                    await this.authInteraction.editReply({
+                        embeds: [successEmbed]
+                    });
+
+                    this.authInteraction = null;
+                } catch (error) {
+                    // Silent error
+                }
+            }
+
+            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
+                this.currentWorld = this.minecraftBot.game.dimension;
+            }
+
+            if (CONFIG.minecraft.auth === 'microsoft') {
+                this.manager.recordAuthProfile(this);
+            }
+
+            this.manager.updateDiscordActivity();
+            await this.updateEmbed();
+        });
+
+        this.minecraftBot.on('spawn', async () => {
+            this.updatePositionInfo();
+
+            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
+                this.currentWorld = this.minecraftBot.game.dimension;
+            }
+
+            // Initialize health monitoring
+            this.currentHealth = this.minecraftBot.health || 20;
+            this.lastHealth = this.currentHealth;
+            this.currentFood = this.minecraftBot.food ?? 20;
+            this.currentSaturation = this.minecraftBot.foodSaturation ?? 5;
+            this.outOfFoodAlerted = false;
+
+            if (this.rejoiningAfterRestart) {
+                this.rejoiningAfterRestart = false;
+                this.quietUntil = Date.now() + CONFIG.restart.quietPeriod;
+                console.log(`[${this.id}] Rejoined after the restart - proximity alerts paused in spawn for ${Math.round(CONFIG.restart.quietPeriod / 1000)}s`);
+                this.recordSafetyEvent('server_restart', 'log', { details: 'Rejoined after the restart' });
+            }
+
+            this.manager.updateDiscordActivity();
+
+            // Runs after every spawn, so restarts get the /tpa etc. again too
+            this.runPostSpawnCommands();
+            this.startAntiAfk();
+            this.startEconomyTracking();
+
+            await this.updateEmbed();
+        });
+
+        this.minecraftBot.on('move', () => {
+            this.updatePositionInfo();
+            // Check for nearby players and mobs when position updates
+            this.checkPlayerProximity();
+            this.checkMobProximity();
+        });
+
+        this.minecraftBot.on('respawn', () => {
+            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
+                this.currentWorld = this.minecraftBot.game.dimension;
+                this.updateEmbed();
+            }
+        });
+
+        this.minecraftBot.on('end', async (reason) => {
+            this.isConnected = false;
+            this.isConnecting = false;
+            this.minecraftBot = null;
+            this.currentWorld = 'Unknown';
+            this.currentCoords = { x: 0, y: 0, z: 0 };
+            this.clearSafetyCheckInterval();
+            this.clearNearbyPlayers();
+            this.stopAntiAfk();
+            this.stopEconomyTracking();
+
+            const stale = !this.lastDisconnect || this.lastDisconnect.at < this.connectStartedAt;
+            const restarting = this.shouldJoin && this.isRestartDisconnect();
+            if (this.shouldJoin && stale) {
+                this.lastDisconnect = restarting
+                    ? this.restartDisconnect(String(reason || 'Connection closed'))
+                    // Not explained by a kick, error or safety disconnect: the connection dropped
+                    : { type: 'connection_lost', label: '📡 Connection lost', reason: String(reason || 'Connection closed'), retry: true, minDelay: 0, at: Date.now() };
+            }
+
+            this.manager.updateDiscordActivity();
+            await this.updateEmbed();
+
+            if (restarting) {
+                await this.waitForRestart();
+            } else if (this.shouldJoin) {
+                await this.attemptReconnect(this.lastDisconnect?.minDelay);
+            }
+        });
+
+        this.minecraftBot.on('error', async (error) => {
+            console.error(`[${this.id}] Minecraft error: ${error.message}`);
+            this.isConnected = false;
+            this.isConnecting = false;
+            this.currentWorld = 'Unknown';
+            this.currentCoords = { x: 0, y: 0, z: 0 };
+
+            // The server isn't contacted until sign-in completes, so an error
+            // before then is a sign-in problem - unless Microsoft was simply
+            // unreachable, which is worth retrying like any other outage
+            if (CONFIG.minecraft.auth === 'microsoft' && !this.isAuthenticated && !isNetworkError(error)) {
+                await this.handleAuthFailure(error);
+                return;
+            }
+
+            // 'end' usually follows; whichever runs first claims the reconnect
+            const restarting = this.shouldJoin && this.isRestartDisconnect();
+            if (!this.lastDisconnect || this.lastDisconnect.at < this.connectStartedAt) {
+                this.lastDisconnect = restarting
+                    ? this.restartDisconnect(error.message)
+                    : { type: 'error', label: '⚠️ Connection error', reason: error.message, retry: true, minDelay: 0, at: Date.now() };
+            }
+            await this.updateEmbed();
+
+            if (restarting) {
+                await this.waitForRestart();
+            } else if (this.shouldJoin) {
+                await this.attemptReconnect();
+            }
+        });
+
+        this.minecraftBot.on('kicked', async (reason) => {
+            this.handleKick(reason);
+            this.isConnected = false;
+            this.isConnecting = false;
+            this.minecraftBot = null;
+            this.currentWorld = 'Unknown';
+            this.currentCoords = { x: 0, y: 0, z: 0 };
+            this.clearSafetyCheckInterval();
+            this.clearNearbyPlayers();
+            this.stopAntiAfk();
+            this.stopEconomyTracking();
+
+            // The 'end' that follows a kick does the reconnecting
+            await this.updateEmbed();
+        });
+
+
+        // In-game chat (bridge, inbox and anything else listening for server messages)
+        this.minecraftBot.on('messagestr', (text, position) => {
+            this.manager.handleChatMessage(this, text, position);
+
+            // Players typing "restart" in chat shouldn't count
+            if (position !== 'chat' && isRestartAnnouncement(text, getRestartPatterns())) {
+                this.handleRestartAnnouncement(text);
+            }
+        });
+
+        // Health monitoring events
+        this.minecraftBot.on('health', () => {
+            this.checkHealth();
+            this.checkFood();
+        });
+
+        // Player monitoring events
+        this.minecraftBot.on('playerJoined', (player) => {
+            setTimeout(() => this.checkPlayerProximity(), 1000);
+        });
+
+        this.minecraftBot.on('playerLeft', (player) => {
+            this.endEncounter(player.username);
+        });
+
+        // Entity movement monitoring for other players and hostile mobs
+        this.minecraftBot.on('entityMoved', (entity) => {
+            // Check if it's another player entity
+            if (entity && entity.type === 'player' && this.minecraftBot && entity.username !== this.minecraftBot.username) {
+                this.checkPlayerProximity();
+            } else if (entity && isHostileMob(entity)) {
+                this.checkMobProximity();
+            }
+        });
+
+        // Periodic safety checks every 10 seconds
+        this.clearSafetyCheckInterval();
+        this.safetyCheckInterval = setInterval(() => {
+            if (this.isConnected && this.safetyConfig.enabled) {
+                this.checkPlayerProximity();
+                this.checkMobProximity();
+                this.checkHealth();
+            }
+            // Retries a meal that failed or was interrupted
+            if (this.isConnected) {
+                this.checkFood();
+            }
+        }, 10000);
+    }
+
+    runPostSpawnCommands() {
+        const bot = this.minecraftBot;
+
+        CONFIG.minecraft.postSpawnCommands.forEach((command, index) => {
+            // Space the commands out so the server doesn't flag them as spam
+            setTimeout(() => {
+                if (this.minecraftBot === bot && this.isConnected) {
+                    this.minecraftBot.chat(command);
+                }
+            }, CONFIG.minecraft.postSpawnDelay + index * 1500);
+        });
+    }
+
+    clearSafetyCheckInterval() {
+        if (this.safetyCheckInterval) {
+            clearInterval(this.safetyCheckInterval);
+            this.safetyCheckInterval = null;
+        }
+    }
+
+    // ========================================================================
+    // MICROSOFT SIGN-IN
+    // ========================================================================
+
+    async handleMsaCode(data) {
+        this.clearAuthState();
+        this.authState = 'pending';
+        this.userCode = data.user_code;
+        const authUrl = new URL(data.verification_uri);
+        authUrl.searchParams.set('otc', data.user_code);
+        this.authUrl = authUrl.toString();
+        this.authExpiresAt = Date.now() + data.expires_in * 1000;
+
+        this.authExpiryTimeout = setTimeout(async () => {
+            this.authExpiryTimeout = null;
+            if (this.authState !== 'pending') return;
+
+            this.authState = 'expired';
+            this.authUrl = null;
+            this.userCode = null;
+            this.manager.updateDiscordActivity();
+            await this.updateEmbed();
+        }, data.expires_in * 1000);
+
+        console.log(`[${this.id}] Microsoft sign-in required: ${data.message}`);
+
+        try {
+            if (this.authInteraction) {
+                const updatedEmbed = new EmbedBuilder()
+                    .setTitle(`🔐 Microsoft Authentication Required — ${this.id}`)
+                    .setDescription('Please authenticate to connect the Minecraft bot.')
+                    .addFields(
+                        { name: '🔗 Authentication Link', value: `[Click here to authenticate](${this.authUrl})`, inline: false },
+                        { name: '🔑 Code (if needed)', value: `\`${this.userCode}\``, inline: false },
+                        { name: '⏳ Status', value: `Waiting for you to complete authentication... (expires <t:${Math.floor(this.authExpiresAt / 1000)}:R>)`, inline: false }
+                    )
+                    .setColor('#ff9900')
+                    .setTimestamp();
+
+                await this.authInteraction.editReply({ embeds: [updatedEmbed] });
+            }
+            this.manager.updateDiscordActivity();
+            await this.updateEmbed();
+        } catch (error) {
+            console.error(`[${this.id}] Failed to update auth message:`, error);
+        }
+    }
+
+    // A new device code needs someone to act on it, so sign-in problems stop
+    // the reconnect loop instead of generating codes nobody sees.
+    async handleAuthFailure(error) {
+        const expired = this.authState === 'expired' || /timed out/i.test(error.message);
+
+        this.clearAuthState();
+        this.authState = expired ? 'expired' : 'failed';
+        this.authError = expired ? null : error.message;
+        this.shouldJoin = false;
+        this.saveDesiredState();
+        this.reconnectAttempts = 0;
+        this.clearReconnectTimeout();
+        this.minecraftBot = null;
+
+        if (this.authInteraction) {
+            try {
+                const failedEmbed = new EmbedBuilder()
+                    .setTitle(expired ? `⌛ Sign-in Code Expired — ${this.id}` : `🚫 Authentication Failed — ${this.id}`)
+                    .setDescription(expired
+                        ? 'The device code expired before sign-in completed. Press Connect to get a new one.'
+                        : `Microsoft sign-in failed: ${error.message.substring(0, 1000)}`)
+                    .setColor('#ff0000')
+                    .setTimestamp();
+
+                await this.authInteraction.editReply({ embeds: [failedEmbed] });
+            } catch (replyError) {
+                // Silent error
+            }
+            this.authInteraction = null;
+        }
+
+        this.manager.updateDiscordActivity();
+        await this.updateEmbed();
+    }
+
+    clearAuthState() {
+        this.authState = null;
+        this.authError = null;
+        this.authUrl = null;
+        this.userCode = null;
+        this.authExpiresAt = null;
+
+        if (this.authExpiryTimeout) {
+            clearTimeout(this.authExpiryTimeout);
+            this.authExpiryTimeout = null;
+        }
+    }
+
+    shutdown() {
+        this.clearSafetyCheckInterval();
+        this.clearNearbyPlayers();
+        this.stopAntiAfk();
+        this.stopEconomyTracking();
+        this.clearReconnectTimeout();
+        this.clearAuthState();
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+        }
+    }
+}
+
+module.exports = { MinecraftSession };
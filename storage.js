@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// JSON FILE STORE
+// ============================================================================
+
+// Small synchronous JSON document store. Writes go through a temp file and a
+// rename so a crash mid-write never leaves a truncated file behind.
+class JsonStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return { ...structuredClone(this.defaults), ...data };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read ${this.filePath}:`, error.message);
+            }
+            return structuredClone(this.defaults);
+        }
+    }
+
+    save(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = { JsonStore };
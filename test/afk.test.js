@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_AFK_CONFIG, AntiAfk, validateAfkConfig } = require('../afk');
+
+function createBot() {
+    const bot = {
+        entity: { yaw: 1 },
+        controls: {},
+        looks: [],
+        swings: 0,
+        look(yaw, pitch) {
+            this.looks.push({ yaw, pitch });
+        },
+        setControlState(control, state) {
+            this.controls[control] = state;
+        },
+        swingArm() {
+            this.swings++;
+        }
+    };
+    return bot;
+}
+
+test('the walk routine goes out and comes back along the same line', () => {
+    const bot = createBot();
+    const afk = new AntiAfk(bot, DEFAULT_AFK_CONFIG);
+    afk.routine = 'walk';
+
+    afk.perform();
+    assert.equal(bot.controls.forward, true);
+    afk.perform();
+    afk.stop();
+
+    assert.deepEqual(bot.looks, [{ yaw: 1, pitch: 0 }, { yaw: 1 + Math.PI, pitch: 0 }]);
+    assert.equal(bot.controls.forward, false);
+});
+
+test('pausing releases held controls', () => {
+    const bot = createBot();
+    const afk = new AntiAfk(bot, DEFAULT_AFK_CONFIG);
+    afk.routine = 'sneak';
+
+    afk.perform();
+    assert.equal(bot.controls.sneak, true);
+    afk.pause(5000);
+    assert.equal(bot.controls.sneak, false);
+    assert.equal(afk.isPaused(), true);
+    afk.stop();
+});
+
+test('nothing happens before the bot has spawned', () => {
+    const bot = createBot();
+    bot.entity = null;
+    const afk = new AntiAfk(bot, DEFAULT_AFK_CONFIG);
+    afk.routine = 'swing';
+    afk.perform();
+    assert.equal(bot.swings, 0);
+});
+
+test('afk config validation', () => {
+    assert.deepEqual(validateAfkConfig(DEFAULT_AFK_CONFIG), []);
+    assert.deepEqual(validateAfkConfig({ routine: 'dance', minInterval: 500, maxInterval: 100 }), [
+        'afk.routine must be one of: off, look, jump, sneak, walk, swing',
+        'afk.minInterval must be an integer of at least 1000 (milliseconds)',
+        'afk.maxInterval must be an integer no smaller than afk.minInterval (milliseconds)'
+    ]);
+});
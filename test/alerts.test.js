@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DISCORD_CHANNEL_ID = 'control';
+const { loadConfig } = require('../config');
+const { AlertRouter } = require('../alerts');
+
+function loadAlerts(alerts, env = {}) {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-alerts-')), 'config.json');
+    fs.writeFileSync(filePath, JSON.stringify({ alerts }));
+    const { config, errors } = loadConfig(env, filePath);
+    return { alerts: config.alerts, errors };
+}
+
+function createRouter(alerts) {
+    const sent = [];
+    const channel = id => ({ send: async message => sent.push({ to: `#${id}`, content: message.content }) });
+    const manager = {
+        discordClient: {
+            channels: { fetch: async id => channel(id) },
+            users: { fetch: async id => ({ id, send: async message => sent.push({ to: `@${id}`, content: message.content }) }) }
+        }
+    };
+    return { router: new AlertRouter(manager, loadAlerts(alerts).alerts), sent };
+}
+
+function alert(session, overrides = {}) {
+    return { session, title: 'Threat', description: '**Steve** nearby', severity: 'warning', embed: {}, components: [], ...overrides };
+}
+
+test('the connecting user and the DM list get the alert', async () => {
+    const { router, sent } = createRouter({ dm: { userIds: ['2'] } });
+    const user = { id: '1', send: async message => sent.push({ to: '@1', content: message.content }) };
+
+    await router.send(alert({ id: 'main', lastAuthUser: user }, { severity: 'urgent' }));
+    assert.deepEqual(sent, [
+        { to: '@1', content: '🚨 **URGENT SAFETY ALERT** 🚨' },
+        { to: '@2', content: '🚨 **URGENT SAFETY ALERT** 🚨' }
+    ]);
+});
+
+test('without any recipient the control channel gets the alert', async () => {
+    const { router, sent } = createRouter({});
+
+    await router.send(alert({ id: 'main', lastAuthUser: null }));
+    assert.deepEqual(sent, [{ to: '#control', content: '⚠️ **Safety Alert** (main)' }]);
+});
+
+test('failed DMs fall back to the control channel', async () => {
+    const { router, sent } = createRouter({});
+    const user = { id: '1', tag: 'steve', send: async () => { throw new Error('Cannot send messages to this user'); } };
+
+    await router.send(alert({ id: 'main', lastAuthUser: user }));
+    assert.deepEqual(sent, [{ to: '#control', content: '⚠️ Failed to DM steve - Safety Alert (main)' }]);
+});
+
+test('the alert channel pings the urgent role and has its own cooldown', async () => {
+    const { router, sent } = createRouter({ dm: { includeConnectUser: false }, channel: { id: 'alerts', urgentRoleId: 'mods', cooldown: 60000 } });
+    const session = { id: 'main', lastAuthUser: null };
+
+    await router.send(alert(session, { severity: 'urgent' }));
+    await router.send(alert(session, { severity: 'urgent' }));
+    await router.send(alert(session, { title: 'Low health' }));
+    assert.deepEqual(sent, [
+        { to: '#alerts', content: '<@&mods> 🚨 **URGENT SAFETY ALERT** 🚨' },
+        { to: '#alerts', content: '⚠️ **Safety Alert**' }
+    ]);
+});
+
+test('webhooks from the file and the env get defaults', () => {
+    const { alerts, errors } = loadAlerts({ webhooks: [{ url: 'https://example.com/hook', severities: ['urgent'] }] }, { ALERT_WEBHOOK_URLS: 'https://example.org/a' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(alerts.webhooks.map(({ url, severities, retries }) => ({ url, severities, retries })), [
+        { url: 'https://example.com/hook', severities: ['urgent'], retries: 3 },
+        { url: 'https://example.org/a', severities: ['warning', 'urgent'], retries: 3 }
+    ]);
+});
+
+test('malformed alert settings are reported instead of thrown', () => {
+    assert.deepEqual(loadAlerts('everyone').errors, ['alerts must be an object']);
+    assert.deepEqual(loadAlerts({ webhooks: { url: 'https://example.com' } }).errors, ['alerts.webhooks must be a list of { "url": "https://..." } objects']);
+    assert.deepEqual(loadAlerts({ webhooks: 'https://example.com' }).errors, ['alerts.webhooks must be a list of { "url": "https://..." } objects']);
+    assert.deepEqual(loadAlerts({ webhooks: ['https://example.com', { url: 42 }, { url: 'ftp://example.com', headers: 'x' }] }).errors, [
+        'alerts.webhooks[0] must be an object with a "url" string',
+        'alerts.webhooks[1].url must be a string',
+        'alerts.webhooks[2].url must be an http(s) URL',
+        'alerts.webhooks[2].headers must be an object of header names and values'
+    ]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { stripFormatting, compileWhisperPatterns, parseWhisper, getChatSender } = require('../chat');
+
+const { config } = loadConfig({}, path.join(os.tmpdir(), 'does-not-exist.json'));
+const patterns = compileWhisperPatterns(config.chat.whisperPatterns);
+
+test('the default patterns parse vanilla, Essentials and arrow whispers', () => {
+    assert.deepEqual(parseWhisper('Steve whispers to you: hi there', patterns), { username: 'Steve', message: 'hi there' });
+    assert.deepEqual(parseWhisper('[.Bedrock_1 -> me] got a sec?', patterns), { username: '.Bedrock_1', message: 'got a sec?' });
+    assert.deepEqual(parseWhisper('Alex ➜ you: tpa?', patterns), { username: 'Alex', message: 'tpa?' });
+    assert.equal(parseWhisper('<Steve> whispers to you: hi', patterns), null);
+    assert.equal(parseWhisper('Steve joined the game', patterns), null);
+});
+
+test('compileWhisperPatterns skips bad entries instead of throwing', () => {
+    const compiled = compileWhisperPatterns(['restart((', 42, '^(\\w+) pm: (.+)$']);
+
+    assert.equal(compiled.length, 1);
+    assert.deepEqual(parseWhisper('Steve PM: hello', compiled), { username: 'Steve', message: 'hello' });
+    assert.deepEqual(compileWhisperPatterns('not a list'), []);
+});
+
+test('stripFormatting removes section sign codes', () => {
+    assert.equal(stripFormatting('§c§lHello §rworld§x'), 'Hello world');
+});
+
+test('getChatSender reads the name behind ranks and brackets', () => {
+    assert.equal(getChatSender('[VIP] [Mod] <Steve> hello'), 'Steve');
+    assert.equal(getChatSender('Alex: hi'), 'Alex');
+    assert.equal(getChatSender('>> Welcome back!'), null);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseAccounts, parseList } = require('../config');
+
+function writeConfig(data) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-config-'));
+    const filePath = path.join(dir, 'config.json');
+    fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+    return filePath;
+}
+
+test('defaults apply without a config file', () => {
+    const { config, errors, source } = loadConfig({}, path.join(os.tmpdir(), 'does-not-exist.json'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(source, 'defaults');
+    assert.equal(config.minecraft.host, 'donutsmp.net');
+    assert.equal(config.minecraft.port, 25565);
+    assert.deepEqual(config.minecraft.postSpawnCommands, ['/tpa doggomc']);
+});
+
+test('the file is read and env vars override it', () => {
+    const filePath = writeConfig({ minecraft: { host: 'play.example.com', port: 25570, postSpawnCommands: ['/home'] } });
+    const { config, errors } = loadConfig({ MINECRAFT_PORT: '25580', MINECRAFT_POST_SPAWN_COMMANDS: '/spawn; /msg a, b' }, filePath);
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.minecraft.host, 'play.example.com');
+    assert.equal(config.minecraft.port, 25580);
+    assert.deepEqual(config.minecraft.postSpawnCommands, ['/spawn', '/msg a, b']);
+});
+
+test('invalid values are reported, not thrown', () => {
+    const filePath = writeConfig({ minecraft: { port: 'abc', version: '1.x', auth: 'mojang', postSpawnCommands: [''] } });
+    const { errors } = loadConfig({}, filePath);
+
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /minecraft\.port/);
+    assert.match(errors[1], /minecraft\.version/);
+    assert.match(errors[2], /minecraft\.auth/);
+    assert.match(errors[3], /minecraft\.postSpawnCommands/);
+});
+
+test('malformed JSON is reported with the file name', () => {
+    const { errors } = loadConfig({}, writeConfig('{ "minecraft": '));
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^config\.json: /);
+});
+
+test('profiles override the file and unknown ones are reported', () => {
+    const filePath = writeConfig({ minecraft: { host: 'play.example.com' }, profiles: { staging: { host: 'staging.example.com' } } });
+
+    const local = loadConfig({ MINECRAFT_PROFILE: 'local' }, filePath);
+    assert.deepEqual(local.errors, []);
+    assert.equal(local.config.minecraft.host, 'localhost');
+    assert.equal(local.config.minecraft.auth, 'offline');
+
+    assert.equal(loadConfig({ MINECRAFT_PROFILE: 'staging' }, filePath).config.minecraft.host, 'staging.example.com');
+    assert.match(loadConfig({ MINECRAFT_PROFILE: 'nope' }, filePath).errors[0], /unknown profile "nope"/);
+});
+
+test('parseAccounts accepts ids and objects and drops duplicates', () => {
+    assert.deepEqual(parseAccounts('main, alt,main'), [{ id: 'main', username: 'main' }, { id: 'alt', username: 'alt' }]);
+    assert.deepEqual(parseAccounts([{ id: 'main', username: 'me@example.com' }]), [{ id: 'main', username: 'me@example.com' }]);
+    assert.deepEqual(parseAccounts(''), [{ id: 'default', username: undefined }]);
+});
+
+test('parseList splits comma separated env values', () => {
+    assert.deepEqual(parseList(' a, b ,,c'), ['a', 'b', 'c']);
+    assert.deepEqual(parseList([1, 'x']), ['1', 'x']);
+    assert.deepEqual(parseList(undefined), []);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { DamageTracker } = require('../damage');
+
+class Vec3 {
+    constructor(x, y, z) {
+        Object.assign(this, { x, y, z });
+    }
+
+    distanceTo(other) {
+        return Math.hypot(this.x - other.x, this.y - other.y, this.z - other.z);
+    }
+}
+
+function createBot() {
+    const bot = new EventEmitter();
+    bot._client = new EventEmitter();
+    bot.entity = { id: 1, position: new Vec3(0, 64, 0), onGround: true, metadata: [0] };
+    bot.entities = { 1: bot.entity };
+    bot.food = 20;
+    bot.oxygenLevel = 20;
+    return bot;
+}
+
+function addEntity(bot, entity) {
+    bot.entities[entity.id] = entity;
+    return entity;
+}
+
+test('server damage events name the attacking player and weapon', () => {
+    const bot = createBot();
+    const tracker = new DamageTracker(bot);
+    addEntity(bot, { id: 7, type: 'player', username: 'Steve', position: new Vec3(2, 64, 0), equipment: [{ name: 'diamond_sword' }] });
+
+    bot._client.emit('damage_event', { entityId: 1, sourceTypeId: 0, sourceCauseId: 8, sourceDirectId: 8 });
+    assert.deepEqual(tracker.attribute(), {
+        kind: 'pvp', cause: 'player', attacker: 'Steve', weapon: 'diamond sword', distance: 2, description: 'Damaged by player Steve with diamond sword'
+    });
+});
+
+test('damage types from the registry map to environmental causes', () => {
+    const bot = createBot();
+    const tracker = new DamageTracker(bot);
+
+    bot._client.emit('registry_data', { id: 'minecraft:damage_type', entries: [{ key: 'minecraft:cactus' }, { key: 'minecraft:lava' }] });
+    bot._client.emit('damage_event', { entityId: 1, sourceTypeId: 1, sourceCauseId: 0, sourceDirectId: 0 });
+    assert.equal(tracker.attribute().description, 'Burning in lava');
+});
+
+test('without a damage event a nearby swing or a fall explains the hit', () => {
+    const bot = createBot();
+    const tracker = new DamageTracker(bot);
+    const far = addEntity(bot, { id: 7, type: 'player', username: 'Far', position: new Vec3(10, 64, 0), equipment: [] });
+    const near = addEntity(bot, { id: 8, type: 'player', username: 'Near', position: new Vec3(3, 64, 0), equipment: [] });
+
+    bot.emit('entitySwingArm', far);
+    assert.equal(tracker.attribute().cause, 'unknown');
+    bot.emit('entitySwingArm', near);
+    assert.equal(tracker.attribute().attacker, 'Near');
+
+    const fallBot = createBot();
+    const fallTracker = new DamageTracker(fallBot);
+    fallBot.entity.onGround = false;
+    fallBot.entity.position = new Vec3(0, 80, 0);
+    fallBot.emit('move');
+    fallBot.entity.onGround = true;
+    fallBot.entity.position = new Vec3(0, 64, 0);
+    fallBot.emit('move');
+    assert.equal(fallTracker.attribute().cause, 'fall');
+});
+
+test('the bot\'s own state and nearby mobs come last', () => {
+    const bot = createBot();
+    const tracker = new DamageTracker(bot);
+
+    bot.food = 0;
+    assert.equal(tracker.attribute().cause, 'starvation');
+
+    bot.food = 20;
+    addEntity(bot, { id: 9, type: 'hostile', kind: 'Hostile mobs', name: 'zombie', displayName: 'Zombie', position: new Vec3(1, 64, 1) });
+    assert.equal(tracker.attribute().description, 'Attacked by Zombie');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_ECONOMY_QUERIES, DEFAULT_ECONOMY_CONFIG, EconomyHistory, formatAmount, formatChange, validateEconomyConfig
+} = require('../economy');
+const { renderLineChart } = require('../chart');
+const { parseAmount } = require('../query');
+
+function createHistory() {
+    let data = { accounts: {} };
+    return new EconomyHistory({ load: () => data, save: saved => { data = saved; } });
+}
+
+test('changes compare against the last reading old enough', () => {
+    const history = createHistory();
+    history.record('main', 'money', 100, 1000);
+    history.record('main', 'money', 150, 2000);
+    history.record('main', 'money', 120, 5000);
+
+    assert.deepEqual(history.getLatest('main', 'money'), { at: 5000, value: 120 });
+    assert.deepEqual(history.getChange('main', 'money', 3000), { from: 150, delta: -30, percent: -20 });
+    assert.equal(history.getChange('main', 'money', 10000), null);
+    assert.equal(history.getChange('main', 'shards', 1000), null);
+    assert.deepEqual(history.getSeries('main', 'money', 2000).map(point => point.value), [150, 120]);
+});
+
+test('amounts and changes are formatted for the embed', () => {
+    assert.equal(formatAmount(1234567.891), '1,234,567.89');
+    assert.equal(formatChange({ from: 1000, delta: 52, percent: 5.2 }), '+52 (+5.2%)');
+    assert.equal(formatChange({ from: 0, delta: -1500, percent: null }), '-1,500');
+    assert.equal(formatChange({ from: 10, delta: 0, percent: 0 }), '±0');
+    assert.equal(formatChange(null), 'not enough history');
+});
+
+test('the default queries read common balance messages', () => {
+    const read = (query, line) => {
+        for (const pattern of query.patterns) {
+            const match = new RegExp(pattern, 'i').exec(line);
+            if (match) return parseAmount(match[1]);
+        }
+        return null;
+    };
+
+    assert.equal(read(DEFAULT_ECONOMY_QUERIES.shards, 'You have 1,234 shards'), 1234);
+    assert.equal(read(DEFAULT_ECONOMY_QUERIES.money, 'Balance: $2.5k'), 2500);
+    assert.equal(read(DEFAULT_ECONOMY_QUERIES.money, 'You have 3 new messages'), null);
+});
+
+test('economy config validation', () => {
+    assert.deepEqual(validateEconomyConfig({ ...DEFAULT_ECONOMY_CONFIG, queries: DEFAULT_ECONOMY_QUERIES }), []);
+    assert.deepEqual(validateEconomyConfig({
+        interval: 1000,
+        timeout: 10000,
+        queries: { Gems: { command: 'gems', label: '', color: 'purple', patterns: [] } }
+    }), [
+        'economy.interval must be 0 or an integer of at least 60000 (milliseconds)',
+        'economy.queries: "Gems" must be lowercase letters, digits or underscores',
+        'economy.queries.Gems.command must be a command starting with /',
+        'economy.queries.Gems.label must be a non-empty string',
+        'economy.queries.Gems.color must be a hex colour like #2ecc71',
+        'economy.queries.Gems.patterns must be a non-empty list of regular expressions'
+    ]);
+});
+
+test('charts come out as PNG images', () => {
+    const png = renderLineChart([{ color: '#2ecc71', points: [{ at: 0, value: 1 }, { at: 500, value: 1500 }, { at: 1000, value: 2 }] }], { since: 0, until: 1000 });
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.equal(png.readUInt32BE(16), 640);
+    assert.equal(png.readUInt32BE(20), 180);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SafetyEventLog, formatEventPlayers, toCsv } = require('../events');
+const { parseDuration, formatDuration } = require('../utils');
+
+function createLog() {
+    return new SafetyEventLog(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-events-')), 'events.jsonl'));
+}
+
+test('events are appended and filtered by type, account and time', () => {
+    const log = createLog();
+    log.append({ timestamp: 1000, account: 'main', type: 'threat', action: 'alert' });
+    log.append({ timestamp: 2000, account: 'alt', type: 'threat', action: 'log' });
+    log.append({ timestamp: 3000, account: 'main', type: 'kicked', action: 'alert' });
+
+    assert.equal(log.query().length, 3);
+    assert.deepEqual(log.query({ type: 'threat' }).map(event => event.timestamp), [1000, 2000]);
+    assert.deepEqual(log.query({ account: 'main', since: 2000 }).map(event => event.timestamp), [3000]);
+});
+
+test('a missing log reads as empty and corrupt lines are skipped', () => {
+    const log = createLog();
+    assert.deepEqual(log.readAll(), []);
+
+    fs.writeFileSync(log.filePath, '{"timestamp":1}\n{"timest\n\n{"timestamp":2}\n');
+    assert.deepEqual(log.readAll(), [{ timestamp: 1 }, { timestamp: 2 }]);
+});
+
+test('CSV export quotes commas, quotes and newlines', () => {
+    const csv = toCsv([{
+        timestamp: 0,
+        account: 'main',
+        type: 'threat',
+        action: 'alert',
+        players: [{ username: 'Steve', distance: 12, score: 40 }, { username: 'Alex', distance: 30 }],
+        world: 'overworld',
+        coords: { x: 1, y: 64, z: -3 },
+        health: 20,
+        details: 'said "hi"\nthen left'
+    }]);
+
+    assert.equal(csv, [
+        'timestamp,account,type,action,players,world,x,y,z,health,details',
+        '1970-01-01T00:00:00.000Z,main,threat,alert,"Steve (12m, score 40), Alex (30m)",overworld,1,64,-3,20,"said ""hi""\nthen left"',
+        ''
+    ].join('\n'));
+    assert.equal(formatEventPlayers({}), '');
+});
+
+test('parseDuration reads s/m/h/d/w amounts', () => {
+    assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+    assert.equal(parseDuration(' 1.5H '), 90 * 60 * 1000);
+    assert.equal(parseDuration('7d'), 7 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('24'), null);
+    assert.equal(parseDuration('-1h'), null);
+    assert.equal(parseDuration(undefined), null);
+});
+
+test('formatDuration shows the two largest units', () => {
+    assert.equal(formatDuration(3725000), '1h 2m');
+    assert.equal(formatDuration(90061000), '1d 1h');
+    assert.equal(formatDuration(0), '0s');
+    assert.equal(formatDuration(-5), '0s');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEdibleItems, countEdibleItems, formatFood } = require('../food');
+
+function createBot(items) {
+    return {
+        registry: {
+            foodsByName: {
+                bread: { effectiveQuality: 11 },
+                cooked_beef: { effectiveQuality: 20.8 },
+                rotten_flesh: { effectiveQuality: 4.8 },
+                golden_apple: { effectiveQuality: 13.6 }
+            }
+        },
+        inventory: { items: () => items }
+    };
+}
+
+test('edible items skip harmful or valuable food and sort best first', () => {
+    const bot = createBot([
+        { name: 'bread', count: 3 },
+        { name: 'rotten_flesh', count: 10 },
+        { name: 'cobblestone', count: 64 },
+        { name: 'golden_apple', count: 1 },
+        { name: 'cooked_beef', count: 2 }
+    ]);
+
+    assert.deepEqual(getEdibleItems(bot).map(item => item.name), ['cooked_beef', 'bread']);
+    assert.equal(countEdibleItems(bot), 5);
+});
+
+test('an unknown registry leaves nothing to eat', () => {
+    const bot = createBot([{ name: 'bread', count: 3 }]);
+    delete bot.registry;
+    assert.deepEqual(getEdibleItems(bot), []);
+});
+
+test('food is shown with saturation rounded to one decimal', () => {
+    assert.equal(formatFood(17, 4.56), '17/20 (sat 4.6)');
+    assert.equal(formatFood(20, 0), '20/20 (sat 0)');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-inbox-'));
+const { loadConfig } = require('../config');
+const { compileWhisperPatterns } = require('../chat');
+const { WhisperInbox } = require('../inbox');
+
+const noConfigFile = path.join(os.tmpdir(), 'does-not-exist.json');
+const { config } = loadConfig({}, noConfigFile);
+
+function createInbox(inboxConfig = {}) {
+    const inbox = new WhisperInbox({}, { ...config.inbox, ...inboxConfig }, compileWhisperPatterns(config.chat.whisperPatterns));
+    inbox.store.save({ messages: [] });
+    inbox.notify = async () => {};
+    return inbox;
+}
+
+test('whispers are recorded and searched newest first', () => {
+    const inbox = createInbox();
+    const session = { id: 'main' };
+    inbox.handleGameMessage(session, '§7Steve whispers to you: first', 'system');
+    inbox.handleGameMessage(session, 'Steve whispers to you: second', 'system');
+    inbox.handleGameMessage({ id: 'alt' }, 'Alex whispers to you: other', 'system');
+    inbox.handleGameMessage(session, 'Steve whispers to you: action bar', 'game_info');
+
+    const { total, messages } = inbox.search({ player: 'steve' });
+    assert.equal(total, 2);
+    assert.deepEqual(messages.map(entry => entry.message), ['second', 'first']);
+    assert.equal(inbox.search({ account: 'alt' }).total, 1);
+    assert.equal(inbox.search({ text: 'SEC' }).total, 1);
+});
+
+test('the oldest whispers are dropped beyond maxMessages', () => {
+    const inbox = createInbox({ maxMessages: 2 });
+    for (const message of ['one', 'two', 'three']) {
+        inbox.record({ account: 'main', direction: 'in', player: 'Steve', message, timestamp: Date.now() });
+    }
+
+    assert.deepEqual(inbox.search().messages.map(entry => entry.message), ['three', 'two']);
+});
+
+test('reply ids keep account ids that contain colons', () => {
+    const inbox = createInbox();
+    const id = inbox.createReplyRow('eu:main', 'Steve').components[0].data.custom_id;
+
+    assert.deepEqual(inbox.parseReplyId(id), { accountId: 'eu:main', player: 'Steve' });
+});
+
+test('the reply length leaves room for the command and never drops below 1', () => {
+    assert.equal(createInbox().getMaxReplyLength('Steve'), 256 - '/msg Steve '.length);
+    assert.equal(createInbox({ replyCommand: `/${'x'.repeat(300)} {player} {message}` }).getMaxReplyLength('Steve'), 1);
+});
+
+test('a reply command without room for a message is reported', () => {
+    const filePath = path.join(process.env.DATA_DIR, 'config.json');
+    fs.writeFileSync(filePath, JSON.stringify({ inbox: { replyCommand: `/${'x'.repeat(240)} {player} {message}` } }));
+
+    assert.match(loadConfig({}, filePath).errors[0], /inbox\.replyCommand must leave room/);
+    assert.deepEqual(loadConfig({}, noConfigFile).errors, []);
+});
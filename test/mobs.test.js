@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isHostileMob, findHostileMobs, describeMobs } = require('../mobs');
+
+function position(x, z) {
+    return {
+        x,
+        y: 64,
+        z,
+        distanceTo(other) {
+            return Math.hypot(this.x - other.x, this.y - other.y, this.z - other.z);
+        }
+    };
+}
+
+function mob(name, displayName, x, z) {
+    return { kind: 'Hostile mobs', name, displayName, position: position(x, z) };
+}
+
+test('neutral mobs in the hostile category are ignored', () => {
+    assert.equal(isHostileMob(mob('zombie', 'Zombie', 0, 0)), true);
+    assert.equal(isHostileMob(mob('enderman', 'Enderman', 0, 0)), false);
+    assert.equal(isHostileMob({ kind: 'Passive mobs', name: 'cow' }), false);
+});
+
+test('hostile mobs inside the radius are listed closest first', () => {
+    const bot = {
+        entity: { position: position(0, 0) },
+        entities: {
+            1: mob('creeper', 'Creeper', 5, 0),
+            2: mob('zombie', 'Zombie', 3, 0),
+            3: mob('zombie', 'Zombie', 20, 0),
+            4: mob('zombified_piglin', 'Zombified Piglin', 1, 0),
+            5: { kind: 'Hostile mobs', name: 'skeleton' }
+        }
+    };
+
+    const mobs = findHostileMobs(bot, 16);
+    assert.deepEqual(mobs.map(found => [found.name, found.distance]), [['zombie', 3], ['creeper', 5]]);
+});
+
+test('mobs are grouped by type with the closest distance', () => {
+    const mobs = [
+        { displayName: 'Zombie', distance: 3 },
+        { displayName: 'Creeper', distance: 5 },
+        { displayName: 'Zombie', distance: 7 }
+    ];
+    assert.equal(describeMobs(mobs), '2x Zombie (3m), Creeper (5m)');
+    assert.equal(describeMobs([]), '');
+});
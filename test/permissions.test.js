@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { PermissionManager, requireApiKey } = require('../permissions');
+
+function loadPermissions(permissions, env = {}) {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'doggo-permissions-')), 'config.json');
+    fs.writeFileSync(filePath, JSON.stringify({ permissions }));
+    const { config, errors } = loadConfig(env, filePath);
+    return { permissions: config.permissions, errors };
+}
+
+test('actions without their own rule fall back to the default rule', () => {
+    const { permissions, errors } = loadPermissions({ default: { roleIds: ['mods'] }, connect: { userIds: ['1'] } });
+    const manager = new PermissionManager(permissions);
+
+    assert.deepEqual(errors, []);
+    assert.equal(manager.isAllowed('connect', { id: '1' }, null), true);
+    assert.equal(manager.isAllowed('connect', { id: '2' }, { roles: ['mods'] }), false);
+    assert.equal(manager.isAllowed('safety', { id: '2' }, { roles: ['mods'] }), true);
+    assert.equal(manager.isAllowed('safety', { id: '2' }, { roles: { cache: new Map([['mods', {}]]) } }), true);
+    assert.equal(manager.isAllowed('safety', { id: '1' }, null), false);
+});
+
+test('without any rule every action stays open', () => {
+    const manager = new PermissionManager(loadPermissions(undefined).permissions);
+
+    assert.equal(manager.isRestricted('connect'), false);
+    assert.equal(manager.isAllowed('chat', { id: '1' }, null), true);
+});
+
+test('env allowlists replace the default rule', () => {
+    const { permissions } = loadPermissions({ default: { userIds: ['1'] } }, { DISCORD_ALLOWED_USERS: '2,3' });
+
+    assert.deepEqual(permissions.default.userIds, ['2', '3']);
+});
+
+test('malformed permissions are reported instead of thrown', () => {
+    assert.deepEqual(loadPermissions(null).errors, []);
+    assert.match(loadPermissions('everyone').errors[0], /^permissions must be an object/);
+
+    const { permissions, errors } = loadPermissions({ connect: { userIds: 12345, roleIds: ['1', 2] }, chat: [], fly: {} });
+    assert.deepEqual(errors, [
+        'permissions.connect.userIds must be a list of Discord ids (strings)',
+        'permissions.connect.roleIds must be a list of Discord ids (strings)',
+        'permissions.chat must be an object with userIds and/or roleIds',
+        'permissions.fly is not a known action (use default, connect, disconnect, chat, safety)'
+    ]);
+    assert.deepEqual(permissions.connect, { userIds: [], roleIds: [] });
+});
+
+function callMiddleware(middleware, headers) {
+    const result = { status: 200, nextCalled: false };
+    const req = { get: name => headers[name.toLowerCase()] };
+    const res = {
+        set() {},
+        status(code) {
+            result.status = code;
+            return { json: body => { result.body = body; } };
+        }
+    };
+    middleware(req, res, () => { result.nextCalled = true; });
+    return result;
+}
+
+test('requireApiKey accepts Bearer and X-API-Key headers', () => {
+    const middleware = requireApiKey('secret');
+
+    assert.equal(callMiddleware(middleware, { authorization: 'Bearer secret' }).nextCalled, true);
+    assert.equal(callMiddleware(middleware, { 'x-api-key': 'secret' }).nextCalled, true);
+    assert.equal(callMiddleware(middleware, { 'x-api-key': 'wrong' }).status, 401);
+    assert.equal(callMiddleware(middleware, {}).status, 401);
+});
+
+test('requireApiKey switches routes off without a configured key', () => {
+    const result = callMiddleware(requireApiKey(null), { 'x-api-key': 'anything' });
+
+    assert.equal(result.status, 403);
+    assert.equal(result.nextCalled, false);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_STATUS_PING_CONFIG, formatServerStatus, ServerMonitor, validateStatusPingConfig } = require('../ping');
+
+test('an online status shows players, latency, version and the MOTD', () => {
+    const status = {
+        online: true,
+        latency: 35,
+        version: 'Paper 1.21.4',
+        players: { online: 12, max: 100 },
+        motd: '  Welcome to `Example`  \n\n Season 5 '
+    };
+    assert.equal(formatServerStatus(status), "🟢 12/100 players · 35ms · Paper 1.21.4\n`Welcome to 'Example' / Season 5`");
+    assert.equal(formatServerStatus({ ...status, version: null, motd: '' }), '🟢 12/100 players · 35ms');
+});
+
+test('missing and unreachable statuses', () => {
+    assert.equal(formatServerStatus(null), '❔ Not checked yet');
+    assert.equal(formatServerStatus({ online: false, error: 'connect ECONNREFUSED 127.0.0.1:25565' }), '🔴 Unreachable (connect ECONNREFUSED 127.0.0.1:25565)');
+    assert.equal(formatServerStatus({ online: false }), '🔴 Unreachable');
+});
+
+test('simultaneous checks share one ping', async () => {
+    const monitor = new ServerMonitor({ host: '127.0.0.1', port: 1 }, { ...DEFAULT_STATUS_PING_CONFIG, timeout: 1000 });
+    const [first, second] = await Promise.all([monitor.check(), monitor.check()]);
+
+    assert.equal(first, second);
+    assert.equal(first.online, false);
+    assert.equal(monitor.status, first);
+    assert.equal(monitor.pending, null);
+});
+
+test('status ping config validation', () => {
+    assert.deepEqual(validateStatusPingConfig(DEFAULT_STATUS_PING_CONFIG), []);
+    assert.deepEqual(validateStatusPingConfig({ ...DEFAULT_STATUS_PING_CONFIG, interval: 0 }), []);
+    assert.deepEqual(validateStatusPingConfig({ interval: 1000, timeout: 100, retryInterval: 10 }), [
+        'statusPing.interval must be 0 or an integer of at least 5000 (milliseconds)',
+        'statusPing.timeout must be an integer of at least 500 (milliseconds)',
+        'statusPing.retryInterval must be an integer of at least 1000 (milliseconds)'
+    ]);
+});
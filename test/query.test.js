@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { parseAmount, runQuery } = require('../query');
+const { DEFAULT_ECONOMY_QUERIES } = require('../economy');
+
+test('amounts with separators, currency and suffixes', () => {
+    assert.equal(parseAmount('1,234'), 1234);
+    assert.equal(parseAmount('$2.5M'), 2500000);
+    assert.equal(parseAmount(' 1.5k '), 1500);
+    assert.equal(parseAmount('12 b'), 12e9);
+    assert.equal(parseAmount('lots'), null);
+    assert.equal(parseAmount(''), null);
+});
+
+function createBot() {
+    const bot = new EventEmitter();
+    bot.sent = [];
+    bot.chat = message => bot.sent.push(message);
+    return bot;
+}
+
+test('queries answer from system messages and ignore player chat', async () => {
+    const bot = createBot();
+    const answer = runQuery(bot, DEFAULT_ECONOMY_QUERIES.money, 1000);
+
+    bot.emit('messagestr', '<Steve> you have $999', 'chat');
+    bot.emit('messagestr', '§aYour balance is: $1,234.50', 'system');
+
+    assert.deepEqual(await answer, { value: 1234.5, line: 'Your balance is: $1,234.50' });
+    assert.deepEqual(bot.sent, ['/balance']);
+    assert.equal(bot.listenerCount('messagestr'), 0);
+});
+
+test('a query fails when the bot disconnects or nobody answers', async () => {
+    const bot = createBot();
+    const disconnected = runQuery(bot, DEFAULT_ECONOMY_QUERIES.shards, 1000);
+    bot.emit('end');
+    await assert.rejects(disconnected, /Disconnected before the server answered/);
+
+    await assert.rejects(runQuery(createBot(), DEFAULT_ECONOMY_QUERIES.shards, 50), /No answer to \/shards within 0s/);
+});
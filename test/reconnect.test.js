@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_RECONNECT_CONFIG, getReconnectDelay, componentToText, formatKickReason, classifyKickReason, validateReconnectConfig
+} = require('../reconnect');
+
+test('the backoff doubles from the base delay up to the cap', () => {
+    const config = { ...DEFAULT_RECONNECT_CONFIG, jitter: 0 };
+    assert.equal(getReconnectDelay(1, config), 15000);
+    assert.equal(getReconnectDelay(3, config), 60000);
+    assert.equal(getReconnectDelay(20, config), 600000);
+});
+
+test('jitter spreads the delay without passing the cap', () => {
+    for (let attempt = 1; attempt <= 12; attempt++) {
+        const base = Math.min(600000, 15000 * 2 ** (attempt - 1));
+        const delay = getReconnectDelay(attempt, DEFAULT_RECONNECT_CONFIG);
+        assert.ok(delay >= base * 0.75 && delay <= Math.min(600000, base * 1.25), `attempt ${attempt}: ${delay}`);
+    }
+});
+
+test('kick reasons in every format end up as plain text', () => {
+    assert.equal(formatKickReason('{"text":"You are ","extra":[{"text":"§cbanned","bold":true}]}'), 'You are banned');
+    assert.equal(formatKickReason('Server   closed'), 'Server closed');
+    assert.equal(formatKickReason({ type: 'compound', value: { text: { type: 'string', value: 'Restarting' } } }), 'Restarting');
+    assert.equal(formatKickReason(''), 'No reason given');
+    assert.equal(componentToText({ translate: 'multiplayer.disconnect.duplicate_login', with: [] }), 'multiplayer.disconnect.duplicate_login');
+});
+
+test('kicks are classified with their retry rules', () => {
+    assert.deepEqual(classifyKickReason('You are banned from this server'), {
+        type: 'banned', label: '🔨 Banned', retry: false, minDelay: 0, reason: 'You are banned from this server'
+    });
+    assert.equal(classifyKickReason('You logged in from another location').minDelay, 60000);
+    assert.equal(classifyKickReason('multiplayer.disconnect.duplicate_login').type, 'already_online');
+    assert.equal(classifyKickReason('Server is restarting').type, 'restarting');
+    assert.equal(classifyKickReason('Flying is not enabled').type, 'kicked');
+});
+
+test('reconnect config validation', () => {
+    assert.deepEqual(validateReconnectConfig(DEFAULT_RECONNECT_CONFIG), []);
+    assert.deepEqual(validateReconnectConfig({ baseDelay: 10, maxDelay: 5, multiplier: 0.5, jitter: 2, maxAttempts: 0 }), [
+        'reconnect.baseDelay must be an integer of at least 1000 (milliseconds)',
+        'reconnect.maxDelay must be an integer no smaller than reconnect.baseDelay (milliseconds)',
+        'reconnect.multiplier must be a number of at least 1',
+        'reconnect.jitter must be a number between 0 and 1',
+        'reconnect.maxAttempts must be a positive integer'
+    ]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RESTART_CONFIG, compileRestartPatterns, isRestartAnnouncement, validateRestartConfig } = require('../restart');
+
+test('the default patterns match common restart announcements', () => {
+    const patterns = compileRestartPatterns(DEFAULT_RESTART_CONFIG.announcementPatterns);
+
+    assert.equal(isRestartAnnouncement('§c[Server] Server restarting in 5 minutes!', patterns), true);
+    assert.equal(isRestartAnnouncement('Restart in 30 seconds', patterns), true);
+    assert.equal(isRestartAnnouncement('Server is shutting down', patterns), true);
+    assert.equal(isRestartAnnouncement('Steve joined the game', patterns), false);
+});
+
+test('bad entries are skipped and the good ones kept', () => {
+    const patterns = compileRestartPatterns(['([', 42, 'reboot now']);
+
+    assert.equal(patterns.length, 1);
+    assert.equal(isRestartAnnouncement('REBOOT NOW', patterns), true);
+    assert.equal(isRestartAnnouncement('Server restarting soon', patterns), false);
+});
+
+test('the defaults step in only when nothing compiles', () => {
+    const defaults = DEFAULT_RESTART_CONFIG.announcementPatterns.length;
+
+    assert.equal(compileRestartPatterns(['([', null]).length, defaults);
+    assert.equal(compileRestartPatterns('restart').length, defaults);
+    assert.equal(compileRestartPatterns([]).length, defaults);
+});
+
+test('restart config validation', () => {
+    assert.deepEqual(validateRestartConfig(DEFAULT_RESTART_CONFIG), []);
+    assert.deepEqual(validateRestartConfig({ ...DEFAULT_RESTART_CONFIG, announcementPatterns: ['ok', 7] }), [
+        'restart.announcementPatterns must be a list of regular expressions'
+    ]);
+
+    const [patternError, ...rest] = validateRestartConfig({ ...DEFAULT_RESTART_CONFIG, announcementPatterns: ['(['], pingInterval: 500, maxWait: -1 });
+    assert.match(patternError, /^restart\.announcementPatterns: Invalid regular expression/);
+    assert.deepEqual(rest, [
+        'restart.maxWait must be a non-negative integer (milliseconds)',
+        'restart.pingInterval must be at least 1000 (milliseconds)'
+    ]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SAFETY_CONFIG, SAFETY_SETTINGS, validateSafetyConfig, formatSafetyValue } = require('../safety');
+
+const setting = key => SAFETY_SETTINGS.find(s => s.key === key);
+
+test('the defaults are valid and every setting has a default', () => {
+    assert.deepEqual(validateSafetyConfig(DEFAULT_SAFETY_CONFIG), []);
+    for (const { key } of SAFETY_SETTINGS) {
+        assert.notEqual(DEFAULT_SAFETY_CONFIG[key], undefined, key);
+    }
+});
+
+test('slash command option names and descriptions fit Discord limits', () => {
+    for (const { option, description } of SAFETY_SETTINGS) {
+        assert.match(option, /^[a-z_]{1,32}$/);
+        assert.ok(description.length <= 100, option);
+    }
+});
+
+test('values are checked against type, range and scale', () => {
+    assert.deepEqual(validateSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, enabled: 1 }), ['Monitoring must be true or false']);
+    assert.deepEqual(validateSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, proximityRadius: 300 }), ['Proximity radius must be between 1 and 256']);
+    assert.deepEqual(validateSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, proximityRadius: 2.5 }), ['Proximity radius must be a whole number']);
+    assert.deepEqual(validateSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, alertCooldown: 1500 }), ['Alert cooldown must be a whole number']);
+    assert.deepEqual(validateSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, minHealth: 'low' }), ['Low health alert must be a number']);
+});
+
+test('the disconnect health may not be above the alert health', () => {
+    assert.deepEqual(validateSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, minHealth: 5, autoDisconnectHealth: 8 }), [
+        'Disconnect at health must not be above the low health alert threshold'
+    ]);
+});
+
+test('values are shown in the unit users type', () => {
+    assert.equal(formatSafetyValue(setting('alertCooldown'), 30000), '30 s');
+    assert.equal(formatSafetyValue(setting('proximityRadius'), 50), '50 blocks');
+    assert.equal(formatSafetyValue(setting('autoEat'), false), '❌ Off');
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Schedule } = require('../schedule');
+
+function createSchedule() {
+    let data = { entries: [], nextId: 1 };
+    return new Schedule({ load: () => data, save: saved => { data = saved; } });
+}
+
+function at(hours, minutes = 0) {
+    return new Date(2026, 0, 15, hours, minutes);
+}
+
+test('times are validated before a window is added', () => {
+    const schedule = createSchedule();
+    assert.equal(schedule.add({ mode: 'online', start: '25:00', end: '08:00' }).error, 'Times must look like 22:00 (24-hour clock)');
+    assert.equal(schedule.add({ mode: 'online', start: '08:00', end: '8:00' }).error, 'Start and end must be different times');
+    assert.match(schedule.add({ mode: 'away', start: '08:00', end: '09:00' }).error, /^Mode must be one of/);
+    assert.deepEqual(schedule.add({ mode: 'online', start: '8:30', end: '17:00' }).entry, { id: 1, account: null, mode: 'online', start: 510, end: 1020 });
+});
+
+test('windows can wrap past midnight and exclude their end minute', () => {
+    const schedule = createSchedule();
+    schedule.add({ mode: 'online', start: '22:00', end: '02:00' });
+
+    assert.equal(schedule.isOnlineAllowed('main', at(23)), true);
+    assert.equal(schedule.isOnlineAllowed('main', at(1, 59)), true);
+    assert.equal(schedule.isOnlineAllowed('main', at(2)), false);
+    assert.equal(schedule.isOnlineAllowed('main', at(12)), false);
+});
+
+test('offline windows win over online ones and only apply to their account', () => {
+    const schedule = createSchedule();
+    schedule.add({ mode: 'online', start: '08:00', end: '20:00' });
+    schedule.add({ account: 'alt', mode: 'offline', start: '12:00', end: '13:00' });
+
+    assert.equal(schedule.isOnlineAllowed('alt', at(12, 30)), false);
+    assert.equal(schedule.isOnlineAllowed('main', at(12, 30)), true);
+    assert.equal(schedule.hasOnlineWindows('alt'), true);
+});
+
+test('the resume time is the next minute the account may be online', () => {
+    const schedule = createSchedule();
+    schedule.add({ mode: 'offline', start: '03:00', end: '04:30' });
+
+    assert.equal(schedule.getResumeTime('main', at(10)), null);
+    assert.deepEqual(schedule.getResumeTime('main', at(3, 15)), at(4, 30));
+});
+
+test('removing a window returns it once', () => {
+    const schedule = createSchedule();
+    const { entry } = schedule.add({ mode: 'offline', start: '03:00', end: '04:00' });
+
+    assert.equal(schedule.remove(entry.id), entry);
+    assert.equal(schedule.remove(entry.id), null);
+    assert.deepEqual(schedule.list(), []);
+});
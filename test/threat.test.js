@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_THREAT_CONFIG, tierRank, assessThreat, validateThreatConfig } = require('../threat');
+
+const RADIUS = 50;
+
+function player(overrides = {}) {
+    return { username: 'Steve', distance: 0, approachSpeed: 0, entity: { equipment: [] }, encounters: 1, blocked: false, ...overrides };
+}
+
+test('an unarmed player scores on distance alone', () => {
+    assert.deepEqual(
+        [0, 25, 40, 50].map(distance => assessThreat(player({ distance }), RADIUS, DEFAULT_THREAT_CONFIG)),
+        [
+            { username: 'Steve', distance: 0, score: 40, tier: 'alert', reasons: ['distance +40'] },
+            { username: 'Steve', distance: 25, score: 20, tier: 'log', reasons: ['distance +20'] },
+            { username: 'Steve', distance: 40, score: 8, tier: 'none', reasons: ['distance +8'] },
+            { username: 'Steve', distance: 50, score: 0, tier: 'none', reasons: [] }
+        ]
+    );
+});
+
+test('weapons, armor and a fast approach reach the disconnect tier', () => {
+    const assessment = assessThreat(player({
+        distance: 10,
+        approachSpeed: 5,
+        entity: { equipment: [{ name: 'netherite_sword' }, null, { name: 'diamond_leggings' }, { name: 'diamond_chestplate' }] }
+    }), RADIUS, DEFAULT_THREAT_CONFIG);
+
+    assert.equal(assessment.score, 77);
+    assert.equal(assessment.tier, 'disconnect');
+    assert.deepEqual(assessment.reasons, ['distance +32', 'approach +20', 'netherite_sword +20', 'armor +5']);
+});
+
+test('repeat visits add up to the repeat weight', () => {
+    const score = encounters => assessThreat(player({ distance: RADIUS, encounters }), RADIUS, DEFAULT_THREAT_CONFIG).score;
+
+    assert.deepEqual([1, 3, 5, 50].map(score), [0, 5, 10, 10]);
+});
+
+test('blocked players always score 100 and disconnect', () => {
+    assert.deepEqual(assessThreat(player({ distance: RADIUS, blocked: true }), RADIUS, DEFAULT_THREAT_CONFIG), {
+        username: 'Steve', distance: RADIUS, score: 100, tier: 'disconnect', reasons: ['blocked']
+    });
+});
+
+test('all-zero tiers disconnect on anyone in range, like before scoring', () => {
+    const config = { ...DEFAULT_THREAT_CONFIG, tiers: { log: 0, alert: 0, buttons: 0, disconnect: 0 } };
+
+    assert.deepEqual(validateThreatConfig(config), []);
+    assert.equal(assessThreat(player({ distance: RADIUS }), RADIUS, config).tier, 'disconnect');
+});
+
+test('tiers rank in order', () => {
+    assert.ok(tierRank('none') < tierRank('log'));
+    assert.ok(tierRank('buttons') < tierRank('disconnect'));
+});
+
+test('validateThreatConfig checks weights, tier order and limits', () => {
+    assert.deepEqual(validateThreatConfig(DEFAULT_THREAT_CONFIG), []);
+    assert.deepEqual(validateThreatConfig({
+        ...DEFAULT_THREAT_CONFIG,
+        weights: { ...DEFAULT_THREAT_CONFIG.weights, weapon: 150 },
+        tiers: { log: 10, alert: 5, buttons: 45, disconnect: 65 },
+        maxApproachSpeed: 0,
+        repeatEncounters: 0
+    }), [
+        'threat.weights.weapon must be a number between 0 and 100',
+        'threat.tiers.alert must be an integer between 10 and 101 (101 turns the tier off)',
+        'threat.maxApproachSpeed must be a positive number (blocks per second)',
+        'threat.repeatEncounters must be a positive integer'
+    ]);
+});
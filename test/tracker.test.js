@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PlayerTracker } = require('../tracker');
+
+function createStore(data = { players: {} }) {
+    return {
+        saves: 0,
+        data,
+        load() { return structuredClone(this.data); },
+        save(data) { this.data = structuredClone(data); this.saves++; }
+    };
+}
+
+test('encounters, closest distance and time in range add up per player', () => {
+    const tracker = new PlayerTracker(createStore());
+    tracker.recordEnter('main', 'steve', 40, 1000);
+    tracker.recordSighting('main', 'Steve', 12, 2000);
+    tracker.recordLeave('Steve', 5000, 6000);
+    tracker.recordEnter('alt', 'STEVE', 30, 9000);
+
+    assert.deepEqual(tracker.get('steve'), {
+        username: 'STEVE',
+        firstSeen: 1000,
+        lastSeen: 9000,
+        closestDistance: 12,
+        timeInRange: 5000,
+        encounters: 2,
+        lastAccount: 'alt'
+    });
+    assert.equal(tracker.get('Alex'), null);
+    assert.equal(tracker.list().length, 1);
+});
+
+test('sightings are saved at most once a minute, leaving is saved straight away', () => {
+    const store = createStore();
+    const tracker = new PlayerTracker(store);
+    const start = Date.now();
+
+    tracker.recordEnter('main', 'Steve', 10, start);
+    tracker.recordSighting('main', 'Steve', 9, start + 1000);
+    assert.equal(store.saves, 1);
+
+    tracker.recordLeave('Steve', 2000, start + 2000);
+    assert.equal(store.saves, 2);
+    assert.equal(new PlayerTracker(store).get('steve').timeInRange, 2000);
+});
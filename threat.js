@@ -0,0 +1,138 @@
+// ============================================================================
+// THREAT SCORING
+// ============================================================================
+
+// Scores run 0-100; each weight is the most that factor can add. Blocked
+// players always score 100.
+//
+// Unlike the old check, an untrusted player in range no longer disconnects on
+// sight: with these defaults someone unarmed tops out at an alert (40 points
+// standing right on top of us), and it takes a weapon, armor or a fast
+// approach to reach the disconnect tier. Setting every tier to 0 brings back
+// "disconnect on anyone untrusted in range" while autoDisconnectOnThreat is on.
+const DEFAULT_THREAT_CONFIG = {
+    weights: {
+        distance: 40, // closer = more points, full weight at 0 blocks
+        approach: 20, // walking/flying straight at us
+        weapon: 20, // holding a sword, axe, bow, mace...
+        armor: 10, // full netherite scores the whole weight
+        repeat: 10 // keeps coming back
+    },
+    tiers: {
+        log: 10, // recorded in /history only
+        alert: 25, // DM alert
+        buttons: 45, // DM alert with action buttons
+        disconnect: 65 // leave the server
+    },
+    maxApproachSpeed: 5, // blocks per second that earns the full approach weight
+    repeatEncounters: 5 // encounters that earn the full repeat weight
+};
+
+const THREAT_TIERS = ['none', 'log', 'alert', 'buttons', 'disconnect'];
+const THREAT_FACTORS = Object.keys(DEFAULT_THREAT_CONFIG.weights);
+
+const WEAPON_PATTERN = /(_sword|_axe|^bow|^crossbow|^trident|^mace|^end_crystal|^tnt|^respawn_anchor|^flint_and_steel|^lava_bucket)$/;
+
+// Share of the armor weight each material is worth
+const ARMOR_MATERIALS = {
+    leather: 0.25,
+    golden: 0.4,
+    chainmail: 0.5,
+    iron: 0.6,
+    turtle: 0.6,
+    diamond: 0.9,
+    netherite: 1
+};
+
+function tierRank(tier) {
+    return THREAT_TIERS.indexOf(tier);
+}
+
+function getTierForScore(score, tiers) {
+    for (const tier of [...THREAT_TIERS].reverse()) {
+        if (tier !== 'none' && score >= tiers[tier]) {
+            return tier;
+        }
+    }
+    return 'none';
+}
+
+function getHeldWeapon(entity) {
+    const item = entity?.equipment?.[0];
+    return item && WEAPON_PATTERN.test(item.name) ? item.name : null;
+}
+
+// 0-1 across the four armor slots
+function getArmorRating(entity) {
+    let rating = 0;
+    for (const item of entity?.equipment || []) {
+        const match = item?.name?.match(/^(\w+?)_(helmet|chestplate|leggings|boots)$/);
+        if (match) {
+            rating += ARMOR_MATERIALS[match[1]] ?? 0.5;
+        }
+    }
+    return Math.min(1, rating / 4);
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// `player`: { username, distance, approachSpeed, entity, encounters, blocked }
+function assessThreat(player, radius, config) {
+    if (player.blocked) {
+        return { username: player.username, distance: player.distance, score: 100, tier: 'disconnect', reasons: ['blocked'] };
+    }
+
+    const { weights } = config;
+    const weapon = getHeldWeapon(player.entity);
+    const factors = {
+        distance: weights.distance * clamp(1 - player.distance / radius),
+        approach: weights.approach * clamp((player.approachSpeed || 0) / config.maxApproachSpeed),
+        weapon: weapon ? weights.weapon : 0,
+        armor: weights.armor * getArmorRating(player.entity),
+        repeat: config.repeatEncounters > 1
+            ? weights.repeat * clamp((player.encounters - 1) / (config.repeatEncounters - 1))
+            : weights.repeat
+    };
+
+    const score = Math.min(100, Math.round(Object.values(factors).reduce((sum, value) => sum + value, 0)));
+    const reasons = Object.entries(factors)
+        .filter(([, value]) => value >= 1)
+        .sort((a, b) => b[1] - a[1])
+        .map(([factor, value]) => factor === 'weapon' ? `${weapon} +${Math.round(value)}` : `${factor} +${Math.round(value)}`);
+
+    return { username: player.username, distance: player.distance, score, tier: getTierForScore(score, config.tiers), reasons };
+}
+
+function validateThreatConfig(config) {
+    const errors = [];
+
+    for (const factor of THREAT_FACTORS) {
+        const weight = config.weights[factor];
+        if (typeof weight !== 'number' || weight < 0 || weight > 100) {
+            errors.push(`threat.weights.${factor} must be a number between 0 and 100`);
+        }
+    }
+
+    let previous = 0;
+    for (const tier of THREAT_TIERS.slice(1)) {
+        const threshold = config.tiers[tier];
+        if (!Number.isInteger(threshold) || threshold < previous || threshold > 101) {
+            errors.push(`threat.tiers.${tier} must be an integer between ${previous} and 101 (101 turns the tier off)`);
+            continue;
+        }
+        previous = threshold;
+    }
+
+    if (typeof config.maxApproachSpeed !== 'number' || config.maxApproachSpeed <= 0) {
+        errors.push('threat.maxApproachSpeed must be a positive number (blocks per second)');
+    }
+    if (!Number.isInteger(config.repeatEncounters) || config.repeatEncounters < 1) {
+        errors.push('threat.repeatEncounters must be a positive integer');
+    }
+
+    return errors;
+}
+
+module.exports = { DEFAULT_THREAT_CONFIG, THREAT_TIERS, tierRank, assessThreat, validateThreatConfig };
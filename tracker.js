@@ -0,0 +1,83 @@
+// ============================================================================
+// PLAYER SIGHTINGS
+// ============================================================================
+
+const SAVE_INTERVAL = 60000; // sightings alone are saved at most once a minute
+
+// Lifetime encounter statistics per player, keyed by lowercase username.
+// Sessions report when a player enters range, each sighting while they stay,
+// and when they leave; the stats are persisted through a JsonStore.
+class PlayerTracker {
+    constructor(store) {
+        this.store = store;
+        this.players = store.load().players;
+        this.dirty = false;
+        this.lastSave = 0;
+    }
+
+    getEntry(username, now) {
+        const key = username.toLowerCase();
+        if (!this.players[key]) {
+            this.players[key] = {
+                username,
+                firstSeen: now,
+                lastSeen: now,
+                closestDistance: null,
+                timeInRange: 0,
+                encounters: 0,
+                lastAccount: null
+            };
+        }
+        return this.players[key];
+    }
+
+    recordEnter(accountId, username, distance, now = Date.now()) {
+        const entry = this.getEntry(username, now);
+        entry.encounters++;
+        this.recordSighting(accountId, username, distance, now);
+    }
+
+    recordSighting(accountId, username, distance, now = Date.now()) {
+        const entry = this.getEntry(username, now);
+        entry.username = username; // keep the latest capitalisation
+        entry.lastSeen = now;
+        entry.lastAccount = accountId;
+        if (entry.closestDistance === null || distance < entry.closestDistance) {
+            entry.closestDistance = distance;
+        }
+
+        this.dirty = true;
+        if (now - this.lastSave >= SAVE_INTERVAL) {
+            this.save();
+        }
+    }
+
+    recordLeave(username, timeInRange, now = Date.now()) {
+        const entry = this.getEntry(username, now);
+        entry.timeInRange += timeInRange;
+        this.dirty = true;
+        this.save();
+    }
+
+    get(username) {
+        return this.players[username.toLowerCase()] || null;
+    }
+
+    list() {
+        return Object.values(this.players);
+    }
+
+    save() {
+        if (!this.dirty) return;
+
+        try {
+            this.store.save({ players: this.players });
+            this.dirty = false;
+            this.lastSave = Date.now();
+        } catch (error) {
+            console.error('Failed to save player sightings:', error);
+        }
+    }
+}
+
+module.exports = { PlayerTracker };
@@ -22,7 +22,8 @@ class StartupLogger {
         
         for (const service of services) {
             const status = service.status ? '\x1b[32m✓\x1b[0m' : '\x1b[31m✗\x1b[0m';
-            const statusText = service.status ? '\x1b[32mONLINE\x1b[0m' : '\x1b[31mOFFLINE\x1b[0m';
+            const label = service.statusText || (service.status ? 'ONLINE' : 'OFFLINE');
+            const statusText = service.status ? `\x1b[32m${label}\x1b[0m` : `\x1b[31m${label}\x1b[0m`;
             console.log(`${status} ${service.name.padEnd(20)} ${statusText}${service.details ? ' - ' + service.details : ''}`);
         }
         
@@ -53,4 +54,28 @@ class StartupLogger {
     }
 }
 
-module.exports = { StartupLogger };
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "90s", "30m", "12h", "7d", "2w" -> milliseconds (null if unparseable)
+function parseDuration(text) {
+    const match = String(text || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/);
+    if (!match) return null;
+    return Math.round(Number(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+// 3725000 -> "1h 2m"; shows the two largest units only
+function formatDuration(ms) {
+    const parts = [];
+    let remaining = Math.max(0, Math.floor(ms / 1000));
+
+    for (const [unit, seconds] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+        if (remaining >= seconds || (unit === 's' && parts.length === 0)) {
+            parts.push(`${Math.floor(remaining / seconds)}${unit}`);
+            remaining %= seconds;
+        }
+    }
+
+    return parts.slice(0, 2).join(' ');
+}
+
+module.exports = { StartupLogger, parseDuration, formatDuration };